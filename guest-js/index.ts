@@ -27,6 +27,8 @@ import { TauriEvent, emit, listen, once } from "@tauri-apps/api/event";
 declare global {
   interface Window {
     __TAURI_INVOKE__: <T>(cmd: string, args?: unknown) => Promise<T>;
+    __TAURI_WINDOW_RESIZE_BORDER__?: number;
+    __TAURI_WINDOW_DRAG__?: DragRegionOptions;
   }
 }
 
@@ -39,6 +41,11 @@ type TitleBarStyle = "visible" | "transparent" | "overlay";
  * @since 2.0.0
  */
 interface Monitor {
+  /**
+   * An identifier of the monitor that stays the same when the displays are rearranged.
+   * It is the OS name of the monitor, or derived from its bounds if the monitor has no name.
+   */
+  id: string;
   /** Human-readable name of the monitor */
   name: string | null;
   /** The monitor's resolution. */
@@ -47,6 +54,18 @@ interface Monitor {
   position: PhysicalPosition;
   /** The scale factor that can be used to map physical pixels to logical pixels. */
   scaleFactor: number;
+  /** The area of the monitor not covered by the taskbar, dock or panels. */
+  workArea: { position: PhysicalPosition; size: PhysicalSize };
+  /**
+   * The refresh rate of the monitor in Hz.
+   *
+   * #### Platform-specific
+   *
+   * - **macOS:** Not available, always `null`.
+   */
+  refreshRate: number | null;
+  /** Whether this is the primary monitor of the system. */
+  isPrimary: boolean;
 }
 
 /**
@@ -67,6 +86,16 @@ type FileDropEvent =
   | { type: "drop"; paths: string[] }
   | { type: "cancel" };
 
+/** @ignore */
+// sizes, positions and rects of different units can't be combined without a scale factor
+function assertSameUnit(a: { type: string }, b: { type: string }): void {
+  if (a.type !== b.type) {
+    throw new TypeError(
+      `cannot combine a ${a.type.toLowerCase()} and a ${b.type.toLowerCase()} value, convert one of them first`,
+    );
+  }
+}
+
 /**
  * A size represented in logical pixels.
  *
@@ -81,6 +110,74 @@ class LogicalSize {
     this.width = width;
     this.height = height;
   }
+
+  /**
+   * Converts the logical size to a physical one.
+   * @example
+   * ```typescript
+   * import { getCurrent, LogicalSize } from '@tauri-apps/plugin-window';
+   * const factor = await getCurrent().scaleFactor();
+   * const physical = new LogicalSize(400, 500).toPhysical(factor);
+   * ```
+   *
+   * @since 2.0.0
+   */
+  toPhysical(scaleFactor: number): PhysicalSize {
+    return new PhysicalSize(
+      Math.round(this.width * scaleFactor),
+      Math.round(this.height * scaleFactor),
+    );
+  }
+
+  /**
+   * Whether the sizes have the same unit and dimensions.
+   *
+   * @since 2.0.0
+   */
+  equals(other: LogicalSize | PhysicalSize): boolean {
+    return (
+      this.type === other.type &&
+      this.width === other.width &&
+      this.height === other.height
+    );
+  }
+
+  /**
+   * Adds the dimensions of another logical size.
+   * @throws {TypeError} if `other` is a physical size.
+   *
+   * @since 2.0.0
+   */
+  add(other: LogicalSize): LogicalSize {
+    assertSameUnit(this, other);
+    return new LogicalSize(
+      this.width + other.width,
+      this.height + other.height,
+    );
+  }
+
+  /**
+   * Subtracts the dimensions of another logical size.
+   * @throws {TypeError} if `other` is a physical size.
+   *
+   * @since 2.0.0
+   */
+  subtract(other: LogicalSize): LogicalSize {
+    assertSameUnit(this, other);
+    return new LogicalSize(
+      this.width - other.width,
+      this.height - other.height,
+    );
+  }
+
+  /**
+   * Multiplies the dimensions by the given factor.
+   *
+   * @since 2.0.0
+   */
+  scale(factor: number): LogicalSize {
+    return new LogicalSize(this.width * factor, this.height * factor);
+  }
 }
 
 /**
@@ -112,6 +209,59 @@ class PhysicalSize {
   toLogical(scaleFactor: number): LogicalSize {
     return new LogicalSize(this.width / scaleFactor, this.height / scaleFactor);
   }
+
+  /**
+   * Whether the sizes have the same unit and dimensions.
+   *
+   * @since 2.0.0
+   */
+  equals(other: LogicalSize | PhysicalSize): boolean {
+    return (
+      this.type === other.type &&
+      this.width === other.width &&
+      this.height === other.height
+    );
+  }
+
+  /**
+   * Adds the dimensions of another physical size.
+   * @throws {TypeError} if `other` is a logical size.
+   *
+   * @since 2.0.0
+   */
+  add(other: PhysicalSize): PhysicalSize {
+    assertSameUnit(this, other);
+    return new PhysicalSize(
+      this.width + other.width,
+      this.height + other.height,
+    );
+  }
+
+  /**
+   * Subtracts the dimensions of another physical size.
+   * @throws {TypeError} if `other` is a logical size.
+   *
+   * @since 2.0.0
+   */
+  subtract(other: PhysicalSize): PhysicalSize {
+    assertSameUnit(this, other);
+    return new PhysicalSize(
+      this.width - other.width,
+      this.height - other.height,
+    );
+  }
+
+  /**
+   * Multiplies the dimensions by the given factor, rounded to whole pixels.
+   *
+   * @since 2.0.0
+   */
+  scale(factor: number): PhysicalSize {
+    return new PhysicalSize(
+      Math.round(this.width * factor),
+      Math.round(this.height * factor),
+    );
+  }
 }
 
 /**
@@ -128,6 +278,64 @@ class LogicalPosition {
     this.x = x;
     this.y = y;
   }
+
+  /**
+   * Converts the logical position to a physical one.
+   * @example
+   * ```typescript
+   * import { getCurrent, LogicalPosition } from '@tauri-apps/plugin-window';
+   * const factor = await getCurrent().scaleFactor();
+   * const physical = new LogicalPosition(100, 200).toPhysical(factor);
+   * ```
+   *
+   * @since 2.0.0
+   */
+  toPhysical(scaleFactor: number): PhysicalPosition {
+    return new PhysicalPosition(
+      Math.round(this.x * scaleFactor),
+      Math.round(this.y * scaleFactor),
+    );
+  }
+
+  /**
+   * Whether the positions have the same unit and coordinates.
+   *
+   * @since 2.0.0
+   */
+  equals(other: LogicalPosition | PhysicalPosition): boolean {
+    return this.type === other.type && this.x === other.x && this.y === other.y;
+  }
+
+  /**
+   * Offsets the position by another logical position.
+   * @throws {TypeError} if `other` is a physical position.
+   *
+   * @since 2.0.0
+   */
+  add(other: LogicalPosition): LogicalPosition {
+    assertSameUnit(this, other);
+    return new LogicalPosition(this.x + other.x, this.y + other.y);
+  }
+
+  /**
+   * Offsets the position by the opposite of another logical position.
+   * @throws {TypeError} if `other` is a physical position.
+   *
+   * @since 2.0.0
+   */
+  subtract(other: LogicalPosition): LogicalPosition {
+    assertSameUnit(this, other);
+    return new LogicalPosition(this.x - other.x, this.y - other.y);
+  }
+
+  /**
+   * Multiplies the coordinates by the given factor.
+   *
+   * @since 2.0.0
+   */
+  scale(factor: number): LogicalPosition {
+    return new LogicalPosition(this.x * factor, this.y * factor);
+  }
 }
 
 /**
@@ -159,72 +367,460 @@ class PhysicalPosition {
   toLogical(scaleFactor: number): LogicalPosition {
     return new LogicalPosition(this.x / scaleFactor, this.y / scaleFactor);
   }
+
+  /**
+   * Whether the positions have the same unit and coordinates.
+   *
+   * @since 2.0.0
+   */
+  equals(other: LogicalPosition | PhysicalPosition): boolean {
+    return this.type === other.type && this.x === other.x && this.y === other.y;
+  }
+
+  /**
+   * Offsets the position by another physical position.
+   * @throws {TypeError} if `other` is a logical position.
+   *
+   * @since 2.0.0
+   */
+  add(other: PhysicalPosition): PhysicalPosition {
+    assertSameUnit(this, other);
+    return new PhysicalPosition(this.x + other.x, this.y + other.y);
+  }
+
+  /**
+   * Offsets the position by the opposite of another physical position.
+   * @throws {TypeError} if `other` is a logical position.
+   *
+   * @since 2.0.0
+   */
+  subtract(other: PhysicalPosition): PhysicalPosition {
+    assertSameUnit(this, other);
+    return new PhysicalPosition(this.x - other.x, this.y - other.y);
+  }
+
+  /**
+   * Multiplies the coordinates by the given factor, rounded to whole pixels.
+   *
+   * @since 2.0.0
+   */
+  scale(factor: number): PhysicalPosition {
+    return new PhysicalPosition(
+      Math.round(this.x * factor),
+      Math.round(this.y * factor),
+    );
+  }
 }
 
 /** @ignore */
-interface WindowDef {
-  label: string;
+interface RectBounds {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
 }
 
 /** @ignore */
-declare global {
-  interface Window {
-    __TAURI_METADATA__: {
-      __windows: WindowDef[];
-      __currentWindow: WindowDef;
-    };
+function rectFrom(
+  position: { x: number; y: number },
+  size: { width: number; height: number },
+): RectBounds {
+  return {
+    x: position.x,
+    y: position.y,
+    width: size.width,
+    height: size.height,
+  };
+}
+
+/** @ignore */
+function rectContains(
+  rect: RectBounds,
+  other: RectBounds | { x: number; y: number },
+): boolean {
+  if (!("width" in other)) {
+    return (
+      other.x >= rect.x &&
+      other.x < rect.x + rect.width &&
+      other.y >= rect.y &&
+      other.y < rect.y + rect.height
+    );
   }
+  return (
+    other.x >= rect.x &&
+    other.y >= rect.y &&
+    other.x + other.width <= rect.x + rect.width &&
+    other.y + other.height <= rect.y + rect.height
+  );
+}
+
+/** @ignore */
+function rectIntersection(a: RectBounds, b: RectBounds): RectBounds | null {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const width = Math.min(a.x + a.width, b.x + b.width) - x;
+  const height = Math.min(a.y + a.height, b.y + b.height) - y;
+  return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
+
+/** @ignore */
+function rectUnion(a: RectBounds, b: RectBounds): RectBounds {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
+
+/** @ignore */
+// moves the rect inside the bounds, shrinking it first if it is larger than them
+function rectClampInto(rect: RectBounds, bounds: RectBounds): RectBounds {
+  const width = Math.min(rect.width, bounds.width);
+  const height = Math.min(rect.height, bounds.height);
+  return {
+    x: Math.min(Math.max(rect.x, bounds.x), bounds.x + bounds.width - width),
+    y: Math.min(Math.max(rect.y, bounds.y), bounds.y + bounds.height - height),
+    width,
+    height,
+  };
 }
 
 /**
- * Attention type to request on a window.
+ * A rectangle represented in logical pixels.
  *
  * @since 2.0.0
  */
-enum UserAttentionType {
+class LogicalRect {
+  type = "Logical";
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+
+  constructor(x: number, y: number, width: number, height: number) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+  }
+
   /**
-   * #### Platform-specific
-   * - **macOS:** Bounces the dock icon until the application is in focus.
-   * - **Windows:** Flashes both the window and the taskbar button until the application is in focus.
+   * Creates a rectangle from its top-left corner and its size.
+   * @throws {TypeError} if `position` or `size` is physical.
+   *
+   * @since 2.0.0
    */
-  Critical = 1,
+  static from(position: LogicalPosition, size: LogicalSize): LogicalRect {
+    assertSameUnit({ type: "Logical" }, position);
+    assertSameUnit({ type: "Logical" }, size);
+    return new LogicalRect(position.x, position.y, size.width, size.height);
+  }
+
+  /** @ignore */
+  static _fromBounds(bounds: RectBounds): LogicalRect {
+    return new LogicalRect(bounds.x, bounds.y, bounds.width, bounds.height);
+  }
+
+  /** The top-left corner of the rectangle. */
+  get position(): LogicalPosition {
+    return new LogicalPosition(this.x, this.y);
+  }
+
+  /** The size of the rectangle. */
+  get size(): LogicalSize {
+    return new LogicalSize(this.width, this.height);
+  }
+
   /**
-   * #### Platform-specific
-   * - **macOS:** Bounces the dock icon once.
-   * - **Windows:** Flashes the taskbar button until the application is in focus.
+   * Converts the logical rectangle to a physical one.
+   *
+   * @since 2.0.0
    */
-  Informational,
-}
+  toPhysical(scaleFactor: number): PhysicalRect {
+    return PhysicalRect.from(
+      this.position.toPhysical(scaleFactor),
+      this.size.toPhysical(scaleFactor),
+    );
+  }
 
-class CloseRequestedEvent {
-  /** Event name */
-  event: EventName;
-  /** The label of the window that emitted this event. */
-  windowLabel: string;
-  /** Event identifier used to unlisten */
-  id: number;
-  private _preventDefault = false;
+  /**
+   * Whether the rectangles have the same unit and bounds.
+   *
+   * @since 2.0.0
+   */
+  equals(other: LogicalRect | PhysicalRect): boolean {
+    return (
+      this.type === other.type &&
+      this.x === other.x &&
+      this.y === other.y &&
+      this.width === other.width &&
+      this.height === other.height
+    );
+  }
 
-  constructor(event: Event<null>) {
-    this.event = event.event;
-    this.windowLabel = event.windowLabel;
-    this.id = event.id;
+  /**
+   * Whether the point or the whole rectangle is inside this rectangle.
+   * @throws {TypeError} if `other` is physical.
+   *
+   * @since 2.0.0
+   */
+  contains(other: LogicalPosition | LogicalRect): boolean {
+    assertSameUnit(this, other);
+    return rectContains(this, other);
   }
 
-  preventDefault(): void {
-    this._preventDefault = true;
+  /**
+   * Returns the overlapping area of the rectangles, or `null` if they don't overlap.
+   * @throws {TypeError} if `other` is physical.
+   *
+   * @since 2.0.0
+   */
+  intersect(other: LogicalRect): LogicalRect | null {
+    assertSameUnit(this, other);
+    const bounds = rectIntersection(this, other);
+    return bounds === null ? null : LogicalRect._fromBounds(bounds);
   }
 
-  isPreventDefault(): boolean {
-    return this._preventDefault;
+  /**
+   * Returns the smallest rectangle containing both rectangles.
+   * @throws {TypeError} if `other` is physical.
+   *
+   * @since 2.0.0
+   */
+  union(other: LogicalRect): LogicalRect {
+    assertSameUnit(this, other);
+    return LogicalRect._fromBounds(rectUnion(this, other));
+  }
+
+  /**
+   * Moves the rectangle inside the given bounds, shrinking it first if it is larger than them.
+   * @throws {TypeError} if `bounds` is physical.
+   *
+   * @since 2.0.0
+   */
+  clampInto(bounds: LogicalRect): LogicalRect {
+    assertSameUnit(this, bounds);
+    return LogicalRect._fromBounds(rectClampInto(this, bounds));
+  }
+
+  /**
+   * The center point of the rectangle.
+   *
+   * @since 2.0.0
+   */
+  center(): LogicalPosition {
+    return new LogicalPosition(
+      this.x + this.width / 2,
+      this.y + this.height / 2,
+    );
   }
 }
 
-export type CursorIcon =
-  | "default"
-  | "crosshair"
-  | "hand"
-  | "arrow"
+/**
+ * A rectangle represented in physical pixels.
+ *
+ * @since 2.0.0
+ */
+class PhysicalRect {
+  type = "Physical";
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+
+  constructor(x: number, y: number, width: number, height: number) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Creates a rectangle from its top-left corner and its size.
+   * @throws {TypeError} if `position` or `size` is logical.
+   *
+   * @since 2.0.0
+   */
+  static from(position: PhysicalPosition, size: PhysicalSize): PhysicalRect {
+    assertSameUnit({ type: "Physical" }, position);
+    assertSameUnit({ type: "Physical" }, size);
+    return new PhysicalRect(position.x, position.y, size.width, size.height);
+  }
+
+  /** @ignore */
+  static _fromBounds(bounds: RectBounds): PhysicalRect {
+    return new PhysicalRect(bounds.x, bounds.y, bounds.width, bounds.height);
+  }
+
+  /** The top-left corner of the rectangle. */
+  get position(): PhysicalPosition {
+    return new PhysicalPosition(this.x, this.y);
+  }
+
+  /** The size of the rectangle. */
+  get size(): PhysicalSize {
+    return new PhysicalSize(this.width, this.height);
+  }
+
+  /**
+   * Converts the physical rectangle to a logical one.
+   *
+   * @since 2.0.0
+   */
+  toLogical(scaleFactor: number): LogicalRect {
+    return LogicalRect.from(
+      this.position.toLogical(scaleFactor),
+      this.size.toLogical(scaleFactor),
+    );
+  }
+
+  /**
+   * Whether the rectangles have the same unit and bounds.
+   *
+   * @since 2.0.0
+   */
+  equals(other: LogicalRect | PhysicalRect): boolean {
+    return (
+      this.type === other.type &&
+      this.x === other.x &&
+      this.y === other.y &&
+      this.width === other.width &&
+      this.height === other.height
+    );
+  }
+
+  /**
+   * Whether the point or the whole rectangle is inside this rectangle.
+   * @throws {TypeError} if `other` is logical.
+   *
+   * @since 2.0.0
+   */
+  contains(other: PhysicalPosition | PhysicalRect): boolean {
+    assertSameUnit(this, other);
+    return rectContains(this, other);
+  }
+
+  /**
+   * Returns the overlapping area of the rectangles, or `null` if they don't overlap.
+   * @throws {TypeError} if `other` is logical.
+   *
+   * @since 2.0.0
+   */
+  intersect(other: PhysicalRect): PhysicalRect | null {
+    assertSameUnit(this, other);
+    const bounds = rectIntersection(this, other);
+    return bounds === null ? null : PhysicalRect._fromBounds(bounds);
+  }
+
+  /**
+   * Returns the smallest rectangle containing both rectangles.
+   * @throws {TypeError} if `other` is logical.
+   *
+   * @since 2.0.0
+   */
+  union(other: PhysicalRect): PhysicalRect {
+    assertSameUnit(this, other);
+    return PhysicalRect._fromBounds(rectUnion(this, other));
+  }
+
+  /**
+   * Moves the rectangle inside the given bounds, shrinking it first if it is larger than them.
+   * @throws {TypeError} if `bounds` is logical.
+   *
+   * @since 2.0.0
+   */
+  clampInto(bounds: PhysicalRect): PhysicalRect {
+    assertSameUnit(this, bounds);
+    return PhysicalRect._fromBounds(rectClampInto(this, bounds));
+  }
+
+  /**
+   * The center point of the rectangle, rounded to whole pixels.
+   *
+   * @since 2.0.0
+   */
+  center(): PhysicalPosition {
+    return new PhysicalPosition(
+      Math.round(this.x + this.width / 2),
+      Math.round(this.y + this.height / 2),
+    );
+  }
+}
+
+/** @ignore */
+interface WindowDef {
+  label: string;
+}
+
+/** @ignore */
+declare global {
+  interface Window {
+    __TAURI_METADATA__: {
+      __windows: WindowDef[];
+      __currentWindow: WindowDef;
+    };
+  }
+}
+
+/**
+ * Attention type to request on a window.
+ *
+ * @since 2.0.0
+ */
+enum UserAttentionType {
+  /**
+   * #### Platform-specific
+   * - **macOS:** Bounces the dock icon until the application is in focus.
+   * - **Windows:** Flashes both the window and the taskbar button until the application is in focus.
+   */
+  Critical = 1,
+  /**
+   * #### Platform-specific
+   * - **macOS:** Bounces the dock icon once.
+   * - **Windows:** Flashes the taskbar button until the application is in focus.
+   */
+  Informational,
+}
+
+class CloseRequestedEvent {
+  /** Event name */
+  event: EventName;
+  /** The label of the window that emitted this event. */
+  windowLabel: string;
+  /** Event identifier used to unlisten */
+  id: number;
+  private _preventDefault = false;
+
+  constructor(event: Event<null>) {
+    this.event = event.event;
+    this.windowLabel = event.windowLabel;
+    this.id = event.id;
+  }
+
+  preventDefault(): void {
+    this._preventDefault = true;
+  }
+
+  isPreventDefault(): boolean {
+    return this._preventDefault;
+  }
+}
+
+/**
+ * The edge or corner of a window to resize from, see {@link Window.startResizeDragging}.
+ *
+ * @since 2.0.0
+ */
+type ResizeDirection = "n" | "s" | "e" | "w" | "ne" | "nw" | "se" | "sw";
+
+export type CursorIcon =
+  | "default"
+  | "crosshair"
+  | "hand"
+  | "arrow"
   | "move"
   | "text"
   | "wait"
@@ -261,6 +857,116 @@ export type CursorIcon =
   | "colResize"
   | "rowResize";
 
+/**
+ * The error codes a window command can fail with.
+ *
+ * @since 2.0.0
+ */
+type WindowErrorCode =
+  | "WindowNotFound"
+  | "LabelInUse"
+  | "InvalidLabel"
+  | "InvalidEvent"
+  | "InvalidUrl"
+  | "InvalidLayout"
+  | "Tauri"
+  | "Io"
+  | "Json"
+  | "Unsupported"
+  | "CommandNotAllowed"
+  | "TargetNotAllowed"
+  | "NotModal"
+  | "PolicyViolation";
+
+/**
+ * An error returned by a window command. Every command rejects with this error.
+ *
+ * @example
+ * ```typescript
+ * import { Window, WindowError } from '@tauri-apps/plugin-window';
+ * try {
+ *   await Window.getByLabel('editor')?.close();
+ * } catch (e) {
+ *   // the window was already closed
+ *   if (!(e instanceof WindowError && e.code === 'WindowNotFound')) {
+ *     throw e;
+ *   }
+ * }
+ * ```
+ *
+ * @since 2.0.0
+ */
+class WindowError extends Error {
+  /**
+   * The error code:
+   * - `WindowNotFound`: there is no window with the given label.
+   * - `LabelInUse`, `InvalidLabel` and `InvalidUrl`: the window options are invalid.
+   * - `InvalidEvent`: the event name contains invalid characters or is reserved to the backend.
+   * - `InvalidLayout`: the layout preset does not exist or is not compatible.
+   * - `Tauri`: the operation failed on the platform.
+   * - `Io` and `Json`: reading or writing a file failed.
+   * - `Unsupported`: the operation is not supported on this platform.
+   * - `CommandNotAllowed`: the app does not allow the command to be invoked from JS, or from the calling window.
+   * - `TargetNotAllowed`: the app does not allow the calling window to access the target window.
+   * - `NotModal`: the window is not a modal window, or was not created by the calling window.
+   * - `PolicyViolation`: the window policy of the app rejects the window options, or too many windows are open.
+   */
+  code: WindowErrorCode;
+  /** The label of the window the error refers to, if any. */
+  label: WindowLabel | null;
+
+  constructor(
+    code: WindowErrorCode,
+    message: string,
+    label: WindowLabel | null,
+  ) {
+    super(message);
+    this.name = "WindowError";
+    this.code = code;
+    this.label = label;
+  }
+}
+
+/** @ignore */
+function mapWindowError(e: unknown): WindowError {
+  if (typeof e === "object" && e !== null && "code" in e) {
+    const { code, message, label } = e as {
+      code: WindowErrorCode;
+      message: string;
+      label: WindowLabel | null;
+    };
+    return new WindowError(code, message, label);
+  }
+  return new WindowError("Tauri", String(e), null);
+}
+
+/** @ignore */
+// invokes a plugin command, rejecting with a `WindowError`
+async function invoke<T>(cmd: string, args?: unknown): Promise<T> {
+  return window.__TAURI_INVOKE__<T>(cmd, args).catch((e) => {
+    throw mapWindowError(e);
+  });
+}
+
+/** @ignore */
+async function createWindow(
+  label: WindowLabel,
+  options: WindowOptions,
+  modal = false,
+): Promise<void> {
+  const { restoreState, parent, owner, ...config } = options;
+  return invoke("plugin:window|create", {
+    options: {
+      ...config,
+      label,
+    },
+    restoreState,
+    parent,
+    owner,
+    modal,
+  });
+}
+
 /**
  * Get an instance of `Window` for the current window.
  *
@@ -273,79 +979,304 @@ function getCurrent(): Window {
   });
 }
 
+/** @ignore */
+// labels of the existing windows, kept current by the window created and destroyed events
+let windowRegistry: Set<WindowLabel> | null = null;
+
+/** @ignore */
+function registeredWindowLabels(): Set<WindowLabel> {
+  if (windowRegistry === null) {
+    const registry = new Set(
+      window.__TAURI_METADATA__.__windows.map((w) => w.label),
+    );
+    windowRegistry = registry;
+    void Promise.all([
+      onWindowCreated(({ payload }) => registry.add(payload.label)),
+      onWindowDestroyed(({ payload }) => registry.delete(payload.label)),
+    ])
+      // windows might have been created or destroyed since the page was loaded
+      .then(listWindowLabels)
+      .catch(() => null);
+  }
+  return windowRegistry;
+}
+
+/** @ignore */
+async function listWindowLabels(): Promise<WindowLabel[]> {
+  const labels = await invoke<WindowLabel[]>("plugin:window|list_windows");
+  const registry = registeredWindowLabels();
+  registry.clear();
+  labels.forEach((label) => registry.add(label));
+  return labels;
+}
+
 /**
  * Gets a list of instances of `Window` for all available windows.
  *
+ * The list is initialized when the page loads and kept current by the window created and destroyed events,
+ * so a window created or closed right before this call might not be reflected yet.
+ * Use {@link getAllAsync} to query the backend instead.
+ *
  * @since 2.0.0
  */
 function getAll(): Window[] {
-  return window.__TAURI_METADATA__.__windows.map(
-    (w) =>
-      new Window(w.label, {
+  return Array.from(registeredWindowLabels()).map(
+    (label) =>
+      new Window(label, {
         // @ts-expect-error `skip` is not defined in the public API but it is handled by the constructor
         skip: true,
       }),
   );
 }
 
-/** @ignore */
-// events that are emitted right here instead of by the created webview
-const localTauriEvents = ["tauri://created", "tauri://error"];
-/** @ignore */
-export type WindowLabel = string;
-
 /**
- * Create new webview window or get a handle to an existing one.
+ * Gets a list of instances of `Window` for all available windows, querying the backend.
+ * Windows the current window is not allowed to target are not included.
+ * @example
+ * ```typescript
+ * import { getAllAsync } from '@tauri-apps/plugin-window';
+ * const windows = await getAllAsync();
+ * ```
  *
- * Windows are identified by a *label*  a unique identifier that can be used to reference it later.
- * It may only contain alphanumeric characters `a-zA-Z` plus the following special characters `-`, `/`, `:` and `_`.
+ * @since 2.0.0
+ */
+async function getAllAsync(): Promise<Window[]> {
+  return listWindowLabels().then((labels) =>
+    labels.map((label) => mapWindowDef({ label })),
+  );
+}
+
+/**
+ * Listen to the creation of any window.
  *
  * @example
  * ```typescript
- * // loading embedded asset:
- * const appWindow = new Window('theUniqueLabel', {
- *   url: 'path/to/page.html'
- * });
- * // alternatively, load a remote URL:
- * const appWindow = new Window('theUniqueLabel', {
- *   url: 'https://github.com/tauri-apps/tauri'
+ * import { onWindowCreated } from "@tauri-apps/plugin-window";
+ * const unlisten = await onWindowCreated(({ payload: window }) => {
+ *  console.log('Window created: ' + window.label);
  * });
  *
- * appWindow.once('tauri://created', function () {
- *  // window successfully created
- * });
- * appWindow.once('tauri://error', function (e) {
- *  // an error happened creating the window
+ * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+ * unlisten();
+ * ```
+ *
+ * @returns A promise resolving to a function to unlisten to the event.
+ * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+ *
+ * @since 2.0.0
+ */
+async function onWindowCreated(
+  handler: EventCallback<Window>,
+): Promise<UnlistenFn> {
+  return listen<WindowDef>(PluginEvent.CREATED, (event) => {
+    handler({ ...event, payload: mapWindowDef(event.payload) });
+  });
+}
+
+/**
+ * Listen to the destruction of any window.
+ *
+ * @example
+ * ```typescript
+ * import { onWindowDestroyed } from "@tauri-apps/plugin-window";
+ * const unlisten = await onWindowDestroyed(({ payload: window }) => {
+ *  console.log('Window destroyed: ' + window.label);
  * });
  *
- * // emit an event to the backend
- * await appWindow.emit("some event", "data");
- * // listen to an event from the backend
- * const unlisten = await appWindow.listen("event name", e => {});
+ * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
  * unlisten();
  * ```
  *
+ * @returns A promise resolving to a function to unlisten to the event.
+ * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+ *
  * @since 2.0.0
  */
-class Window {
-  /** The window label. It is a unique identifier for the window, can be used to reference it later. */
-  label: WindowLabel;
-  /** Local event listeners. */
-  // eslint-disable-next-line @typescript-eslint/no-explicit-any
-  listeners: Record<string, Array<EventCallback<any>>>;
+async function onWindowDestroyed(
+  handler: EventCallback<Window>,
+): Promise<UnlistenFn> {
+  return listen<WindowDef>(PluginEvent.DESTROYED, (event) => {
+    handler({ ...event, payload: mapWindowDef(event.payload) });
+  });
+}
 
-  /**
-   * Creates a new Window.
-   * @example
-   * ```typescript
-   * import { Window } from '@tauri-apps/plugin-window';
-   * const appWindow = new Window('my-label', {
-   *   url: 'https://github.com/tauri-apps/tauri'
-   * });
-   * appWindow.once('tauri://created', function () {
-   *  // window successfully created
-   * });
-   * appWindow.once('tauri://error', function (e) {
+/**
+ * Options for {@link emitToAll}.
+ *
+ * @since 2.0.0
+ */
+interface EmitToAllOptions {
+  /** The labels of the windows that must not receive the event. */
+  exclude?: WindowLabel[];
+}
+
+/**
+ * Emits an event to the windows with the given labels.
+ * The event is received by the listeners of its exact name and by the matching wildcard listeners, see {@link Window.listen}.
+ *
+ * @example
+ * ```typescript
+ * import { emitTo } from "@tauri-apps/plugin-window";
+ * await emitTo(['editor-1', 'editor-2'], 'document:saved', { path: '/notes.md' });
+ * ```
+ *
+ * @param labels The labels of the windows to emit the event to.
+ * @param event Event name. Must include only alphanumeric characters, `-`, `/`, `:` and `_`,
+ * and must not start with `window://` or `tauri://`.
+ * @param payload Event payload.
+ * @returns A promise rejecting with a {@link WindowError} if one of the windows does not exist,
+ * in which case the event is not emitted to any window.
+ *
+ * @since 2.0.0
+ */
+async function emitTo(
+  labels: WindowLabel[],
+  event: string,
+  payload?: unknown,
+): Promise<void> {
+  return invoke("plugin:window|emit_to", {
+    event,
+    payload: payload ?? null,
+    labels,
+  });
+}
+
+/**
+ * Emits an event to every open window, as listed by the backend when the event is emitted.
+ * The event is received by the listeners of its exact name and by the matching wildcard listeners, see {@link Window.listen}.
+ *
+ * @example
+ * ```typescript
+ * import { emitToAll, getCurrent } from "@tauri-apps/plugin-window";
+ * await emitToAll('settings:changed', { theme: 'dark' }, { exclude: [getCurrent().label] });
+ * ```
+ *
+ * @param event Event name. Must include only alphanumeric characters, `-`, `/`, `:` and `_`,
+ * and must not start with `window://` or `tauri://`.
+ * @param payload Event payload.
+ * @param options The windows to exclude.
+ *
+ * @since 2.0.0
+ */
+async function emitToAll(
+  event: string,
+  payload?: unknown,
+  options: EmitToAllOptions = {},
+): Promise<void> {
+  return invoke("plugin:window|emit_to", {
+    event,
+    payload: payload ?? null,
+    exclude: options.exclude,
+  });
+}
+
+/** @ignore */
+// the wrapper of the events emitted with `emitTo` and `emitToAll`, received by the wildcard listeners
+interface BroadcastPayload {
+  event: EventName;
+  payload: unknown;
+}
+
+/** @ignore */
+function isEventPattern(event: string): boolean {
+  return event.includes("*");
+}
+
+/** @ignore */
+// `*` matches any sequence of characters
+function eventPatternRegExp(pattern: string): RegExp {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  // eslint-disable-next-line security/detect-non-literal-regexp
+  return new RegExp(`^${source}$`);
+}
+
+/** @ignore */
+// events emitted by the plugin
+enum PluginEvent {
+  CREATED = "window://created",
+  DESTROYED = "window://destroyed",
+  VISIBILITY_CHANGED = "window://visibility-changed",
+  MINIMIZED_CHANGED = "window://minimized-changed",
+  MAXIMIZED_CHANGED = "window://maximized-changed",
+  FULLSCREEN_CHANGED = "window://fullscreen-changed",
+  DEVTOOLS_CHANGED = "window://devtools-changed",
+  CLOSE_REQUESTED_BY_PARENT = "window://close-requested-by-parent",
+  MONITORS_CHANGED = "window://monitors-changed",
+  CURSOR_MOVED = "window://cursor-moved",
+  CURSOR_ENTERED = "window://cursor-entered",
+  CURSOR_LEFT = "window://cursor-left",
+  BROADCAST = "window://broadcast",
+  CHANNEL_MESSAGE = "window://channel-message",
+}
+
+/** @ignore */
+// a close request sent by the plugin when the parent of the window closes
+interface CloseRequest {
+  id: number;
+  label: WindowLabel;
+}
+
+/** @ignore */
+// events that are emitted right here instead of by the created webview
+const localTauriEvents = ["tauri://created", "tauri://error"];
+/** @ignore */
+export type WindowLabel = string;
+
+/**
+ * Create new webview window or get a handle to an existing one.
+ *
+ * Windows are identified by a *label*  a unique identifier that can be used to reference it later.
+ * It may only contain alphanumeric characters `a-zA-Z` plus the following special characters `-`, `/`, `:` and `_`.
+ *
+ * @example
+ * ```typescript
+ * // loading embedded asset:
+ * const appWindow = new Window('theUniqueLabel', {
+ *   url: 'path/to/page.html'
+ * });
+ * // alternatively, load a remote URL:
+ * const appWindow = new Window('theUniqueLabel', {
+ *   url: 'https://github.com/tauri-apps/tauri'
+ * });
+ *
+ * appWindow.once('tauri://created', function () {
+ *  // window successfully created
+ * });
+ * appWindow.once('tauri://error', function (e) {
+ *  // an error happened creating the window
+ * });
+ *
+ * // emit an event to the backend
+ * await appWindow.emit("some event", "data");
+ * // listen to an event from the backend
+ * const unlisten = await appWindow.listen("event name", e => {});
+ * unlisten();
+ * ```
+ *
+ * @since 2.0.0
+ */
+class Window {
+  /** The window label. It is a unique identifier for the window, can be used to reference it later. */
+  label: WindowLabel;
+  /** Local event listeners. */
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  listeners: Record<string, Array<EventCallback<any>>>;
+
+  /**
+   * Creates a new Window.
+   * @example
+   * ```typescript
+   * import { Window } from '@tauri-apps/plugin-window';
+   * const appWindow = new Window('my-label', {
+   *   url: 'https://github.com/tauri-apps/tauri'
+   * });
+   * appWindow.once('tauri://created', function () {
+   *  // window successfully created
+   * });
+   * appWindow.once('tauri://error', function (e) {
    *  // an error happened creating the window
    * });
    * ```
@@ -361,18 +1292,76 @@ class Window {
 
     // @ts-expect-error `skip` is not a public API so it is not defined in WindowOptions
     if (!options?.skip) {
-      window
-        .__TAURI_INVOKE__("plugin:window|create", {
-          options: {
-            ...options,
-            label,
-          },
-        })
+      createWindow(label, options)
         .then(async () => this.emit("tauri://created"))
-        .catch(async (e: string) => this.emit("tauri://error", e));
+        .catch(async (e: WindowError) => this.emit("tauri://error", e.message));
     }
   }
 
+  /**
+   * Creates a new Window, resolving once the webview exists.
+   * @example
+   * ```typescript
+   * import { Window, WindowError } from '@tauri-apps/plugin-window';
+   * try {
+   *   const appWindow = await Window.create('my-label', {
+   *     url: 'https://github.com/tauri-apps/tauri'
+   *   });
+   * } catch (e) {
+   *   if (e instanceof WindowError && e.code === 'LabelInUse') {
+   *     // a window with this label is already open
+   *   }
+   * }
+   * ```
+   *
+   * @param label The unique webview window label. Must be alphanumeric: `a-zA-Z-/:_`.
+   * @returns A promise resolving to the {@link Window} instance to communicate with the webview,
+   * or rejecting with a {@link WindowError} if the window could not be created.
+   *
+   * @since 2.0.0
+   */
+  static async create(
+    label: WindowLabel,
+    options: WindowOptions = {},
+  ): Promise<Window> {
+    await createWindow(label, options);
+    return mapWindowDef({ label });
+  }
+
+  /**
+   * Creates a modal window: the input of the owner window is blocked and the owner can't be closed nor minimized
+   * until the modal window is closed. The modal window is created as a child of the owner, see {@link WindowOptions.parent}.
+   * @example
+   * ```typescript
+   * import { Window } from '@tauri-apps/plugin-window';
+   * const confirmed = await Window.createModal<boolean>('confirm', {
+   *   url: 'confirm.html',
+   *   width: 300,
+   *   height: 150
+   * });
+   *
+   * // in confirm.html
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * await getCurrent().closeWithResult(true);
+   * ```
+   *
+   * @param label The unique webview window label. Must be alphanumeric: `a-zA-Z-/:_`.
+   * @param owner The window to block. Defaults to the current window.
+   * @returns A promise resolving when the modal window is closed, with the value passed to {@link Window.closeWithResult}
+   * or `null` if it was closed without a result.
+   *
+   * @since 2.0.0
+   */
+  static async createModal<T = unknown>(
+    label: WindowLabel,
+    options: WindowOptions = {},
+    owner: Window = getCurrent(),
+  ): Promise<T | null> {
+    await createWindow(label, { ...options, parent: owner.label }, true);
+    // the backend only hands the result to this window, once the modal window is destroyed
+    return invoke<T | null>("plugin:window|modal_result", { label });
+  }
+
   /**
    * Gets the Window for the webview associated with the given label.
    * @example
@@ -394,6 +1383,24 @@ class Window {
     return null;
   }
 
+  /**
+   * Gets the Window for the webview associated with the given label, querying the backend.
+   * @example
+   * ```typescript
+   * import { Window } from '@tauri-apps/plugin-window';
+   * const mainWindow = await Window.getByLabelAsync('main');
+   * ```
+   *
+   * @param label The webview window label.
+   * @returns The Window instance to communicate with the webview or null if the webview doesn't exist.
+   *
+   * @since 2.0.0
+   */
+  static async getByLabelAsync(label: string): Promise<Window | null> {
+    const labels = await listWindowLabels();
+    return labels.includes(label) ? mapWindowDef({ label }) : null;
+  }
+
   /**
    * Get an instance of `Window` for the current window.
    *
@@ -412,6 +1419,15 @@ class Window {
     return getAll();
   }
 
+  /**
+   * Gets a list of instances of `Window` for all available windows, querying the backend.
+   *
+   * @since 2.0.0
+   */
+  static async getAllAsync(): Promise<Window[]> {
+    return getAllAsync();
+  }
+
   /**
    *  Gets the focused window.
    * @example
@@ -425,7 +1441,7 @@ class Window {
    * @since 1.4
    */
   static async getFocusedWindow(): Promise<Window | null> {
-    for (const w of getAll()) {
+    for (const w of await getAllAsync()) {
       if (await w.isFocused()) {
         return w;
       }
@@ -434,7 +1450,8 @@ class Window {
   }
 
   /**
-   * Listen to an event emitted by the backend that is tied to the webview window.
+   * Listen to an event emitted by the backend that is tied to the webview window,
+   * or with a `*` pattern to the events emitted with {@link emitTo} and {@link emitToAll} only.
    *
    * @example
    * ```typescript
@@ -448,6 +1465,8 @@ class Window {
    * ```
    *
    * @param event Event name. Must include only alphanumeric characters, `-`, `/`, `:` and `_`.
+   * It can also be a pattern where `*` matches any sequence of characters, e.g. `document:*`,
+   * matching the events emitted with {@link emitTo} and {@link emitToAll} but not the events emitted any other way.
    * @param handler Event handler.
    * @returns A promise resolving to a function to unlisten to the event.
    * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
@@ -465,6 +1484,41 @@ class Window {
         listeners.splice(listeners.indexOf(handler), 1);
       });
     }
+    if (isEventPattern(event)) {
+      const matcher = eventPatternRegExp(event);
+      const unlisten = await listen<BroadcastPayload>(
+        PluginEvent.BROADCAST,
+        (e) => {
+          if (matcher.test(e.payload.event)) {
+            handler({
+              ...e,
+              event: e.payload.event,
+              payload: e.payload.payload as T,
+            });
+          }
+        },
+        { target: this.label },
+      );
+      // the events are only broadcast to the windows with wildcard listeners
+      await invoke("plugin:window|internal_listen_wildcard", {
+        label: this.label,
+        listening: true,
+      }).catch((e) => {
+        unlisten();
+        throw e;
+      });
+      let listening = true;
+      return () => {
+        unlisten();
+        if (listening) {
+          listening = false;
+          void invoke("plugin:window|internal_listen_wildcard", {
+            label: this.label,
+            listening: false,
+          }).catch(() => null);
+        }
+      };
+    }
     return listen(event, handler, { target: this.label });
   }
 
@@ -483,6 +1537,7 @@ class Window {
    * ```
    *
    * @param event Event name. Must include only alphanumeric characters, `-`, `/`, `:` and `_`.
+   * It can also be a pattern, see {@link Window.listen}.
    * @param handler Event handler.
    * @returns A promise resolving to a function to unlisten to the event.
    * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
@@ -497,6 +1552,24 @@ class Window {
         listeners.splice(listeners.indexOf(handler), 1);
       });
     }
+    if (isEventPattern(event)) {
+      let received = false;
+      let unlisten: UnlistenFn | undefined;
+      const listening = this.listen<T>(event, (e) => {
+        if (!received) {
+          received = true;
+          // the event can be received before `listen` resolves
+          if (unlisten) {
+            unlisten();
+          } else {
+            void listening.then((stop) => stop());
+          }
+          handler(e);
+        }
+      });
+      unlisten = await listening;
+      return unlisten;
+    }
     return once(event, handler, { target: this.label });
   }
 
@@ -551,7 +1624,7 @@ class Window {
    * @since 2.0.0
    * */
   async scaleFactor(): Promise<number> {
-    return window.__TAURI_INVOKE__("plugin:window|scale_factor", {
+    return invoke("plugin:window|scale_factor", {
       label: this.label,
     });
   }
@@ -569,14 +1642,9 @@ class Window {
    * @since 2.0.0
    *  */
   async innerPosition(): Promise<PhysicalPosition> {
-    return window
-      .__TAURI_INVOKE__<{ x: number; y: number }>(
-        "plugin:window|inner_position",
-        {
-          label: this.label,
-        },
-      )
-      .then(({ x, y }) => new PhysicalPosition(x, y));
+    return invoke<{ x: number; y: number }>("plugin:window|inner_position", {
+      label: this.label,
+    }).then(({ x, y }) => new PhysicalPosition(x, y));
   }
 
   /**
@@ -592,14 +1660,9 @@ class Window {
    * @since 2.0.0
    *  */
   async outerPosition(): Promise<PhysicalPosition> {
-    return window
-      .__TAURI_INVOKE__<{ x: number; y: number }>(
-        "plugin:window|outer_position",
-        {
-          label: this.label,
-        },
-      )
-      .then(({ x, y }) => new PhysicalPosition(x, y));
+    return invoke<{ x: number; y: number }>("plugin:window|outer_position", {
+      label: this.label,
+    }).then(({ x, y }) => new PhysicalPosition(x, y));
   }
 
   /**
@@ -616,14 +1679,12 @@ class Window {
    * @since 2.0.0
    */
   async innerSize(): Promise<PhysicalSize> {
-    return window
-      .__TAURI_INVOKE__<{ width: number; height: number }>(
-        "plugin:window|inner_size",
-        {
-          label: this.label,
-        },
-      )
-      .then(({ width, height }) => new PhysicalSize(width, height));
+    return invoke<{ width: number; height: number }>(
+      "plugin:window|inner_size",
+      {
+        label: this.label,
+      },
+    ).then(({ width, height }) => new PhysicalSize(width, height));
   }
 
   /**
@@ -640,14 +1701,53 @@ class Window {
    * @since 2.0.0
    */
   async outerSize(): Promise<PhysicalSize> {
-    return window
-      .__TAURI_INVOKE__<{ width: number; height: number }>(
-        "plugin:window|outer_size",
-        {
-          label: this.label,
-        },
-      )
-      .then(({ width, height }) => new PhysicalSize(width, height));
+    return invoke<{ width: number; height: number }>(
+      "plugin:window|outer_size",
+      {
+        label: this.label,
+      },
+    ).then(({ width, height }) => new PhysicalSize(width, height));
+  }
+
+  /**
+   * The physical bounds of the window's client area, in a single round trip.
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * const rect = await getCurrent().innerRect();
+   * ```
+   *
+   * @returns The window's inner position and size.
+   *
+   * @since 2.0.0
+   *  */
+  async innerRect(): Promise<PhysicalRect> {
+    const { innerPosition, innerSize } = await this.getState([
+      "innerPosition",
+      "innerSize",
+    ]);
+    return PhysicalRect.from(innerPosition, innerSize);
+  }
+
+  /**
+   * The physical bounds of the entire window, in a single round trip.
+   * These bounds include the title bar and borders.
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * const rect = await getCurrent().outerRect();
+   * ```
+   *
+   * @returns The window's outer position and size.
+   *
+   * @since 2.0.0
+   *  */
+  async outerRect(): Promise<PhysicalRect> {
+    const { outerPosition, outerSize } = await this.getState([
+      "outerPosition",
+      "outerSize",
+    ]);
+    return PhysicalRect.from(outerPosition, outerSize);
   }
 
   /**
@@ -663,7 +1763,7 @@ class Window {
    * @since 2.0.0
    *  */
   async isFullscreen(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_fullscreen", {
+    return invoke("plugin:window|is_fullscreen", {
       label: this.label,
     });
   }
@@ -679,7 +1779,7 @@ class Window {
    * @since 2.0.0
    * */
   async isMinimized(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_minimized", {
+    return invoke("plugin:window|is_minimized", {
       label: this.label,
     });
   }
@@ -697,7 +1797,7 @@ class Window {
    * @since 2.0.0
    * */
   async isMaximized(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_maximized", {
+    return invoke("plugin:window|is_maximized", {
       label: this.label,
     });
   }
@@ -715,7 +1815,7 @@ class Window {
    * @since 2.0.0
    * */
   async isFocused(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_focused", {
+    return invoke("plugin:window|is_focused", {
       label: this.label,
     });
   }
@@ -733,7 +1833,7 @@ class Window {
    * @since 2.0.0
    *  */
   async isDecorated(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_decorated", {
+    return invoke("plugin:window|is_decorated", {
       label: this.label,
     });
   }
@@ -751,7 +1851,7 @@ class Window {
    * @since 2.0.0
    *  */
   async isResizable(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_resizable", {
+    return invoke("plugin:window|is_resizable", {
       label: this.label,
     });
   }
@@ -772,7 +1872,7 @@ class Window {
    * @returns Whether the window's native maximize button is enabled or not.
    *  */
   async isMaximizable(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_maximizable", {
+    return invoke("plugin:window|is_maximizable", {
       label: this.label,
     });
   }
@@ -793,7 +1893,7 @@ class Window {
    * @returns Whether the window's native minimize button is enabled or not.
    *  */
   async isMinimizable(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_minimizable", {
+    return invoke("plugin:window|is_minimizable", {
       label: this.label,
     });
   }
@@ -814,7 +1914,7 @@ class Window {
    * @returns Whether the window's native close button is enabled or not.
    *  */
   async isClosable(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_closable", {
+    return invoke("plugin:window|is_closable", {
       label: this.label,
     });
   }
@@ -832,7 +1932,26 @@ class Window {
    * @since 2.0.0
    *  */
   async isVisible(): Promise<boolean> {
-    return window.__TAURI_INVOKE__("plugin:window|is_visible", {
+    return invoke("plugin:window|is_visible", {
+      label: this.label,
+    });
+  }
+
+  /**
+   * Gets whether the window's devtools are open.
+   * Always `false` in release builds without the `devtools` feature.
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * const open = await getCurrent().isDevtoolsOpen();
+   * ```
+   *
+   * @returns Whether the devtools are open or not.
+   *
+   * @since 2.0.0
+   *  */
+  async isDevtoolsOpen(): Promise<boolean> {
+    return invoke("plugin:window|is_devtools_open", {
       label: this.label,
     });
   }
@@ -848,7 +1967,7 @@ class Window {
    * @since 2.0.0
    * */
   async title(): Promise<string> {
-    return window.__TAURI_INVOKE__("plugin:window|title", {
+    return invoke("plugin:window|title", {
       label: this.label,
     });
   }
@@ -871,11 +1990,33 @@ class Window {
    * @since 2.0.0
    * */
   async theme(): Promise<Theme | null> {
-    return window.__TAURI_INVOKE__("plugin:window|theme", {
+    return invoke("plugin:window|theme", {
       label: this.label,
     });
   }
 
+  /**
+   * Gets a snapshot of the window's state with a single IPC call instead of one call per getter.
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * const { title, isMaximized } = await getCurrent().getState(['title', 'isMaximized']);
+   * ```
+   *
+   * @param fields The state fields to read. Reads all of them if not provided.
+   * @returns The requested window state fields.
+   *
+   * @since 2.0.0
+   */
+  async getState<K extends keyof WindowState = keyof WindowState>(
+    fields?: K[],
+  ): Promise<Pick<WindowState, K>> {
+    return invoke<Partial<WindowState>>("plugin:window|state", {
+      label: this.label,
+      fields,
+    }).then((state) => mapWindowState(state) as Pick<WindowState, K>);
+  }
+
   // Setters
 
   /**
@@ -892,7 +2033,7 @@ class Window {
    * @since 2.0.0
    */
   async center(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|center", {
+    return invoke("plugin:window|center", {
       label: this.label,
     });
   }
@@ -932,7 +2073,7 @@ class Window {
       }
     }
 
-    return window.__TAURI_INVOKE__("plugin:window|request_user_attention", {
+    return invoke("plugin:window|request_user_attention", {
       label: this.label,
       value: requestType_,
     });
@@ -952,7 +2093,7 @@ class Window {
    * @since 2.0.0
    */
   async setResizable(resizable: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_resizable", {
+    return invoke("plugin:window|set_resizable", {
       label: this.label,
       value: resizable,
     });
@@ -977,7 +2118,7 @@ class Window {
    * @returns A promise indicating the success or failure of the operation.
    */
   async setMaximizable(maximizable: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_maximizable", {
+    return invoke("plugin:window|set_maximizable", {
       label: this.label,
       value: maximizable,
     });
@@ -1000,7 +2141,7 @@ class Window {
    * @returns A promise indicating the success or failure of the operation.
    */
   async setMinimizable(minimizable: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_minimizable", {
+    return invoke("plugin:window|set_minimizable", {
       label: this.label,
       value: minimizable,
     });
@@ -1024,7 +2165,7 @@ class Window {
    * @returns A promise indicating the success or failure of the operation.
    */
   async setClosable(closable: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_closable", {
+    return invoke("plugin:window|set_closable", {
       label: this.label,
       value: closable,
     });
@@ -1044,7 +2185,7 @@ class Window {
    * @since 2.0.0
    */
   async setTitle(title: string): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_title", {
+    return invoke("plugin:window|set_title", {
       label: this.label,
       value: title,
     });
@@ -1063,7 +2204,7 @@ class Window {
    * @since 2.0.0
    */
   async maximize(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|maximize", {
+    return invoke("plugin:window|maximize", {
       label: this.label,
     });
   }
@@ -1081,7 +2222,7 @@ class Window {
    * @since 2.0.0
    */
   async unmaximize(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|unmaximize", {
+    return invoke("plugin:window|unmaximize", {
       label: this.label,
     });
   }
@@ -1099,7 +2240,7 @@ class Window {
    * @since 2.0.0
    */
   async toggleMaximize(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|toggle_maximize", {
+    return invoke("plugin:window|toggle_maximize", {
       label: this.label,
     });
   }
@@ -1117,7 +2258,7 @@ class Window {
    * @since 2.0.0
    */
   async minimize(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|minimize", {
+    return invoke("plugin:window|minimize", {
       label: this.label,
     });
   }
@@ -1135,7 +2276,7 @@ class Window {
    * @since 2.0.0
    */
   async unminimize(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|unminimize", {
+    return invoke("plugin:window|unminimize", {
       label: this.label,
     });
   }
@@ -1153,7 +2294,7 @@ class Window {
    * @since 2.0.0
    */
   async show(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|show", {
+    return invoke("plugin:window|show", {
       label: this.label,
     });
   }
@@ -1171,13 +2312,16 @@ class Window {
    * @since 2.0.0
    */
   async hide(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|hide", {
+    return invoke("plugin:window|hide", {
       label: this.label,
     });
   }
 
   /**
    * Closes the window.
+   *
+   * The children of the window are asked to close first, running their {@link Window.onCloseRequested} handlers.
+   * If any of them prevents its close, this window stays open.
    * @example
    * ```typescript
    * import { getCurrent } from '@tauri-apps/plugin-window';
@@ -1189,66 +2333,124 @@ class Window {
    * @since 2.0.0
    */
   async close(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|close", {
+    return invoke("plugin:window|close", {
       label: this.label,
     });
   }
 
   /**
-   * Whether the window should have borders and bars.
+   * Closes the modal window, which must be the current window, resolving the {@link Window.createModal} promise with the given value
+   * once the window is destroyed. If the close is prevented, e.g. by {@link Window.onCloseRequested},
+   * the window stays open and the value is kept until it closes or another value is set.
    * @example
    * ```typescript
    * import { getCurrent } from '@tauri-apps/plugin-window';
-   * await getCurrent().setDecorations(false);
+   * await getCurrent().closeWithResult({ confirmed: true });
    * ```
    *
-   * @param decorations Whether the window should have borders and bars.
+   * @param value The modal result.
    * @returns A promise indicating the success or failure of the operation.
+   * Rejects with a `NotModal` {@link WindowError} if the current window is not a modal window.
    *
    * @since 2.0.0
    */
-  async setDecorations(decorations: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_decorations", {
-      label: this.label,
-      value: decorations,
-    });
+  async closeWithResult(value: unknown): Promise<void> {
+    // the backend records the result for the calling window, so a window can't set the result of another one
+    await invoke("plugin:window|set_modal_result", { value });
+    return this.close();
   }
 
   /**
-   * Whether or not the window should have shadow.
-   *
-   * #### Platform-specific
-   *
-   * - **Windows:**
-   *   - `false` has no effect on decorated window, shadows are always ON.
-   *   - `true` will make ndecorated window have a 1px white border,
-   * and on Windows 11, it will have a rounded corners.
-   * - **Linux:** Unsupported.
-   *
+   * Gets the parent of the window, set with the {@link WindowOptions.parent} option.
    * @example
    * ```typescript
    * import { getCurrent } from '@tauri-apps/plugin-window';
-   * await getCurrent().setShadow(false);
+   * const parent = await getCurrent().parent();
    * ```
    *
-   * @returns A promise indicating the success or failure of the operation.
+   * @returns The parent window or `null` if the window has no parent.
    *
    * @since 2.0.0
    */
-  async setShadow(enable: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_shadow", {
+  async parent(): Promise<Window | null> {
+    return invoke<WindowLabel | null>("plugin:window|parent", {
       label: this.label,
-      value: enable,
-    });
+    }).then((label) => (label === null ? null : mapWindowDef({ label })));
   }
 
   /**
-   * Set window effects.
+   * Gets the windows created with this window as their {@link WindowOptions.parent}.
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * const children = await getCurrent().children();
+   * ```
    *
-   * @since 2.0
+   * @returns The child windows.
+   *
+   * @since 2.0.0
+   */
+  async children(): Promise<Window[]> {
+    return invoke<WindowLabel[]>("plugin:window|children", {
+      label: this.label,
+    }).then((labels) => labels.map((label) => mapWindowDef({ label })));
+  }
+
+  /**
+   * Whether the window should have borders and bars.
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * await getCurrent().setDecorations(false);
+   * ```
+   *
+   * @param decorations Whether the window should have borders and bars.
+   * @returns A promise indicating the success or failure of the operation.
+   *
+   * @since 2.0.0
+   */
+  async setDecorations(decorations: boolean): Promise<void> {
+    return invoke("plugin:window|set_decorations", {
+      label: this.label,
+      value: decorations,
+    });
+  }
+
+  /**
+   * Whether or not the window should have shadow.
+   *
+   * #### Platform-specific
+   *
+   * - **Windows:**
+   *   - `false` has no effect on decorated window, shadows are always ON.
+   *   - `true` will make ndecorated window have a 1px white border,
+   * and on Windows 11, it will have a rounded corners.
+   * - **Linux:** Unsupported.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * await getCurrent().setShadow(false);
+   * ```
+   *
+   * @returns A promise indicating the success or failure of the operation.
+   *
+   * @since 2.0.0
+   */
+  async setShadow(enable: boolean): Promise<void> {
+    return invoke("plugin:window|set_shadow", {
+      label: this.label,
+      value: enable,
+    });
+  }
+
+  /**
+   * Set window effects.
+   *
+   * @since 2.0
    */
   async setEffects(effects: Effects): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_effects", {
+    return invoke("plugin:window|set_effects", {
       label: this.label,
       value: effects,
     });
@@ -1260,7 +2462,7 @@ class Window {
    * @since 2.0
    */
   async clearEffects(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_effects", {
+    return invoke("plugin:window|set_effects", {
       label: this.label,
       value: null,
     });
@@ -1280,7 +2482,7 @@ class Window {
    * @since 2.0.0
    */
   async setAlwaysOnTop(alwaysOnTop: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_always_on_top", {
+    return invoke("plugin:window|set_always_on_top", {
       label: this.label,
       value: alwaysOnTop,
     });
@@ -1299,7 +2501,7 @@ class Window {
    * @since 2.0.0
    */
   async setContentProtected(protected_: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_content_protected", {
+    return invoke("plugin:window|set_content_protected", {
       label: this.label,
       value: protected_,
     });
@@ -1325,7 +2527,7 @@ class Window {
       );
     }
 
-    return window.__TAURI_INVOKE__("plugin:window|set_size", {
+    return invoke("plugin:window|set_size", {
       label: this.label,
       value: {
         type: size.type,
@@ -1359,7 +2561,7 @@ class Window {
       );
     }
 
-    return window.__TAURI_INVOKE__("plugin:window|set_min_size", {
+    return invoke("plugin:window|set_min_size", {
       label: this.label,
       value: size
         ? {
@@ -1395,7 +2597,7 @@ class Window {
       );
     }
 
-    return window.__TAURI_INVOKE__("plugin:window|set_max_size", {
+    return invoke("plugin:window|set_max_size", {
       label: this.label,
       value: size
         ? {
@@ -1434,7 +2636,7 @@ class Window {
       );
     }
 
-    return window.__TAURI_INVOKE__("plugin:window|set_position", {
+    return invoke("plugin:window|set_position", {
       label: this.label,
       value: {
         type: position.type,
@@ -1460,7 +2662,7 @@ class Window {
    * @since 2.0.0
    */
   async setFullscreen(fullscreen: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_fullscreen", {
+    return invoke("plugin:window|set_fullscreen", {
       label: this.label,
       value: fullscreen,
     });
@@ -1479,7 +2681,7 @@ class Window {
    * @since 2.0.0
    */
   async setFocus(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_focus", {
+    return invoke("plugin:window|set_focus", {
       label: this.label,
     });
   }
@@ -1505,7 +2707,7 @@ class Window {
    * @since 2.0.0
    */
   async setIcon(icon: string | Uint8Array): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_icon", {
+    return invoke("plugin:window|set_icon", {
       label: this.label,
       value: typeof icon === "string" ? icon : Array.from(icon),
     });
@@ -1529,7 +2731,7 @@ class Window {
    * @since 2.0.0
    */
   async setSkipTaskbar(skip: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_skip_taskbar", {
+    return invoke("plugin:window|set_skip_taskbar", {
       label: this.label,
       value: skip,
     });
@@ -1557,7 +2759,7 @@ class Window {
    * @since 2.0.0
    */
   async setCursorGrab(grab: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_cursor_grab", {
+    return invoke("plugin:window|set_cursor_grab", {
       label: this.label,
       value: grab,
     });
@@ -1583,7 +2785,7 @@ class Window {
    * @since 2.0.0
    */
   async setCursorVisible(visible: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_cursor_visible", {
+    return invoke("plugin:window|set_cursor_visible", {
       label: this.label,
       value: visible,
     });
@@ -1603,7 +2805,7 @@ class Window {
    * @since 2.0.0
    */
   async setCursorIcon(icon: CursorIcon): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_cursor_icon", {
+    return invoke("plugin:window|set_cursor_icon", {
       label: this.label,
       value: icon,
     });
@@ -1634,7 +2836,7 @@ class Window {
       );
     }
 
-    return window.__TAURI_INVOKE__("plugin:window|set_cursor_position", {
+    return invoke("plugin:window|set_cursor_position", {
       label: this.label,
       value: {
         type: position.type,
@@ -1661,7 +2863,7 @@ class Window {
    * @since 2.0.0
    */
   async setIgnoreCursorEvents(ignore: boolean): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|set_ignore_cursor_events", {
+    return invoke("plugin:window|set_ignore_cursor_events", {
       label: this.label,
       value: ignore,
     });
@@ -1680,7 +2882,85 @@ class Window {
    * @since 2.0.0
    */
   async startDragging(): Promise<void> {
-    return window.__TAURI_INVOKE__("plugin:window|start_dragging", {
+    return invoke("plugin:window|start_dragging", {
+      label: this.label,
+    });
+  }
+
+  /**
+   * Starts resizing the window from the given edge or corner, as if the user pressed the mouse on the window border.
+   * Does nothing if the window is not resizable or is maximized.
+   *
+   * Elements with a `data-tauri-resize-region` attribute set to a direction do this automatically,
+   * see also {@link setResizeBorder}.
+   *
+   * #### Platform-specific
+   *
+   * - **macOS:** Unsupported, rejects with an `Unsupported` {@link WindowError}.
+   * The `data-tauri-resize-region` elements resize the window by following the mouse instead.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * await getCurrent().startResizeDragging('se');
+   * ```
+   *
+   * @param direction The edge or corner to resize from.
+   * @return A promise indicating the success or failure of the operation.
+   *
+   * @since 2.0.0
+   */
+  async startResizeDragging(direction: ResizeDirection): Promise<void> {
+    return invoke("plugin:window|start_resize_dragging", {
+      label: this.label,
+      direction,
+    });
+  }
+
+  /**
+   * Opens the window's devtools.
+   *
+   * #### Platform-specific
+   *
+   * - **All:** Only available in debug builds or with the `devtools` feature,
+   * rejects with an `Unsupported` {@link WindowError} otherwise.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * await getCurrent().openDevtools();
+   * ```
+   *
+   * @return A promise indicating the success or failure of the operation.
+   *
+   * @since 2.0.0
+   */
+  async openDevtools(): Promise<void> {
+    return invoke("plugin:window|open_devtools", {
+      label: this.label,
+    });
+  }
+
+  /**
+   * Closes the window's devtools.
+   *
+   * #### Platform-specific
+   *
+   * - **All:** Only available in debug builds or with the `devtools` feature,
+   * rejects with an `Unsupported` {@link WindowError} otherwise.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from '@tauri-apps/plugin-window';
+   * await getCurrent().closeDevtools();
+   * ```
+   *
+   * @return A promise indicating the success or failure of the operation.
+   *
+   * @since 2.0.0
+   */
+  async closeDevtools(): Promise<void> {
+    return invoke("plugin:window|close_devtools", {
       label: this.label,
     });
   }
@@ -1767,14 +3047,58 @@ class Window {
   async onCloseRequested(
     handler: (event: CloseRequestedEvent) => void | Promise<void>,
   ): Promise<UnlistenFn> {
-    return this.listen<null>(TauriEvent.WINDOW_CLOSE_REQUESTED, (event) => {
-      const evt = new CloseRequestedEvent(event);
-      void Promise.resolve(handler(evt)).then(() => {
-        if (!evt.isPreventDefault()) {
-          return this.close();
+    const unlistenCloseRequested = await this.listen<null>(
+      TauriEvent.WINDOW_CLOSE_REQUESTED,
+      (event) => {
+        const evt = new CloseRequestedEvent(event);
+        void Promise.resolve(handler(evt)).then(() => {
+          if (!evt.isPreventDefault()) {
+            return this.close();
+          }
+        });
+      },
+    );
+    // the parent window is closing, the plugin waits for the answer before closing this window
+    const unlistenParentClosing = await listen<CloseRequest>(
+      PluginEvent.CLOSE_REQUESTED_BY_PARENT,
+      (event) => {
+        const { id, label } = event.payload;
+        if (label !== this.label) {
+          return;
         }
-      });
-    });
+        // only answer the requests the plugin actually sent, not the events forged by other windows
+        void invoke<boolean>("plugin:window|internal_close_request", { id })
+          .then(async (pending) => {
+            if (!pending) {
+              return;
+            }
+            const evt = new CloseRequestedEvent({ ...event, payload: null });
+            await Promise.resolve(handler(evt)).catch(() => null);
+            return invoke("plugin:window|internal_close_response", {
+              id,
+              prevented: evt.isPreventDefault(),
+            });
+          })
+          .catch(() => null);
+      },
+    );
+    await invoke("plugin:window|internal_listen_close_requested", {
+      label: this.label,
+      listening: true,
+    }).catch(() => null);
+    let listening = true;
+    return () => {
+      if (!listening) {
+        return;
+      }
+      listening = false;
+      unlistenCloseRequested();
+      unlistenParentClosing();
+      void invoke("plugin:window|internal_listen_close_requested", {
+        label: this.label,
+        listening: false,
+      }).catch(() => null);
+    };
   }
   /* eslint-enable */
 
@@ -1951,397 +3275,2801 @@ class Window {
   async onThemeChanged(handler: EventCallback<Theme>): Promise<UnlistenFn> {
     return this.listen<Theme>(TauriEvent.WINDOW_THEME_CHANGED, handler);
   }
-}
-
-/**
- * an array RGBA colors. Each value has minimum of 0 and maximum of 255.
- *
- * @since 2.0
- */
-type Color = [number, number, number, number];
 
-/**
- * Platform-specific window effects
- *
- * @since 2.0
- */
-enum Effect {
   /**
-   * A default material appropriate for the view's effectiveAppearance.  **macOS 10.14-**
+   * Listen to the creation of this window.
    *
-   * @deprecated since macOS 10.14. You should instead choose an appropriate semantic material.
-   */
-  AppearanceBased = "appearanceBased",
-  /**
-   *  **macOS 10.14-**
+   * @example
+   * ```typescript
+   * import { Window } from "@tauri-apps/plugin-window";
+   * const settings = new Window('settings', { skipTaskbar: true });
+   * const unlisten = await settings.onCreated(() => {
+   *  console.log('Settings window created');
+   * });
    *
-   * @deprecated since macOS 10.14. Use a semantic material instead.
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  Light = "light",
+  async onCreated(handler: EventCallback<Window>): Promise<UnlistenFn> {
+    return onWindowCreated((event) => {
+      if (event.payload.label === this.label) {
+        handler(event);
+      }
+    });
+  }
+
   /**
-   *  **macOS 10.14-**
+   * Listen to the destruction of this window.
    *
-   * @deprecated since macOS 10.14. Use a semantic material instead.
+   * @example
+   * ```typescript
+   * import { Window } from "@tauri-apps/plugin-window";
+   * const settings = Window.getByLabel('settings');
+   * const unlisten = await settings?.onDestroyed(() => {
+   *  console.log('Settings window destroyed');
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  Dark = "dark",
+  async onDestroyed(handler: EventCallback<Window>): Promise<UnlistenFn> {
+    return onWindowDestroyed((event) => {
+      if (event.payload.label === this.label) {
+        handler(event);
+      }
+    });
+  }
+
   /**
-   *  **macOS 10.14-**
+   * Listen to the window being shown or hidden. The payload is the new visibility.
    *
-   * @deprecated since macOS 10.14. Use a semantic material instead.
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onVisibilityChanged(({ payload: visible }) => {
+   *  console.log('Visibility changed, window is visible? ' + visible);
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  MediumLight = "mediumLight",
+  async onVisibilityChanged(
+    handler: EventCallback<boolean>,
+  ): Promise<UnlistenFn> {
+    return this.listen<boolean>(PluginEvent.VISIBILITY_CHANGED, handler);
+  }
+
   /**
-   *  **macOS 10.14-**
+   * Listen to the window being minimized or restored from minimized. The payload is the new minimized state.
    *
-   * @deprecated since macOS 10.14. Use a semantic material instead.
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onMinimizedChanged(({ payload: minimized }) => {
+   *  console.log('Window minimized? ' + minimized);
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  UltraDark = "ultraDark",
+  async onMinimizedChanged(
+    handler: EventCallback<boolean>,
+  ): Promise<UnlistenFn> {
+    return this.listen<boolean>(PluginEvent.MINIMIZED_CHANGED, handler);
+  }
+
   /**
-   *  **macOS 10.10+**
+   * Listen to the window being maximized or restored from maximized. The payload is the new maximized state.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onMaximizedChanged(({ payload: maximized }) => {
+   *  console.log('Window maximized? ' + maximized);
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  Titlebar = "titlebar",
+  async onMaximizedChanged(
+    handler: EventCallback<boolean>,
+  ): Promise<UnlistenFn> {
+    return this.listen<boolean>(PluginEvent.MAXIMIZED_CHANGED, handler);
+  }
+
   /**
-   *  **macOS 10.10+**
+   * Listen to the window entering or leaving fullscreen mode. The payload is the new fullscreen state.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onFullscreenChanged(({ payload: fullscreen }) => {
+   *  console.log('Window fullscreen? ' + fullscreen);
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  Selection = "selection",
+  async onFullscreenChanged(
+    handler: EventCallback<boolean>,
+  ): Promise<UnlistenFn> {
+    return this.listen<boolean>(PluginEvent.FULLSCREEN_CHANGED, handler);
+  }
+
   /**
-   *  **macOS 10.11+**
-   */
-  Menu = "menu",
-  /**
-   *  **macOS 10.11+**
-   */
-  Popover = "popover",
-  /**
-   *  **macOS 10.11+**
-   */
-  Sidebar = "sidebar",
-  /**
-   *  **macOS 10.14+**
-   */
-  HeaderView = "headerView",
-  /**
-   *  **macOS 10.14+**
-   */
-  Sheet = "sheet",
-  /**
-   *  **macOS 10.14+**
-   */
-  WindowBackground = "windowBackground",
-  /**
-   *  **macOS 10.14+**
+   * Listen to the window's devtools being opened or closed. The payload is whether the devtools are open.
+   *
+   * Devtools closed from their own window are only noticed once the window is focused, moved or resized.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onDevtoolsChanged(({ payload: open }) => {
+   *  console.log('Devtools open? ' + open);
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  HudWindow = "hudWindow",
+  async onDevtoolsChanged(
+    handler: EventCallback<boolean>,
+  ): Promise<UnlistenFn> {
+    return this.listen<boolean>(PluginEvent.DEVTOOLS_CHANGED, handler);
+  }
+
   /**
-   *  **macOS 10.14+**
+   * Listen to the cursor moving over the window.
+   * The payload is the cursor position relative to the top-left corner of the window's client area.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onCursorMoved(({ payload: position }) => {
+   *  console.log(`Cursor at ${position.x}, ${position.y}`);
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  FullScreenUI = "fullScreenUI",
+  async onCursorMoved(
+    handler: EventCallback<PhysicalPosition>,
+  ): Promise<UnlistenFn> {
+    return this._listenToCursor<{ x: number; y: number }>(
+      PluginEvent.CURSOR_MOVED,
+      (event) => {
+        handler({
+          ...event,
+          payload: new PhysicalPosition(event.payload.x, event.payload.y),
+        });
+      },
+    );
+  }
+
   /**
-   *  **macOS 10.14+**
+   * Listen to the cursor entering the window.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onCursorEntered(() => {
+   *  console.log('Cursor entered the window');
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  Tooltip = "tooltip",
+  async onCursorEntered(handler: EventCallback<null>): Promise<UnlistenFn> {
+    return this._listenToCursor<null>(PluginEvent.CURSOR_ENTERED, handler);
+  }
+
   /**
-   *  **macOS 10.14+**
+   * Listen to the cursor leaving the window.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().onCursorLeft(() => {
+   *  console.log('Cursor left the window');
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to unlisten to the event.
+   * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  ContentBackground = "contentBackground",
+  async onCursorLeft(handler: EventCallback<null>): Promise<UnlistenFn> {
+    return this._listenToCursor<null>(PluginEvent.CURSOR_LEFT, handler);
+  }
+
+  /** @ignore */
+  // the webview only emits its cursor events while someone listens to them
+  async _listenToCursor<T>(
+    event: string,
+    handler: EventCallback<T>,
+  ): Promise<UnlistenFn> {
+    const unlisten = await this.listen<T>(event, handler);
+    await invoke("plugin:window|track_cursor", { label: this.label }).catch(
+      (e) => {
+        unlisten();
+        throw e;
+      },
+    );
+    let tracking = true;
+    return () => {
+      unlisten();
+      if (tracking) {
+        tracking = false;
+        void invoke("plugin:window|untrack_cursor", {
+          label: this.label,
+        }).catch(() => null);
+      }
+    };
+  }
+
   /**
-   *  **macOS 10.14+**
+   * Watches the window state, calling the handler with the current state and then
+   * with the updated state and the changed fields whenever it changes.
+   * See {@link createWindowStateStore}.
+   *
+   * @example
+   * ```typescript
+   * import { getCurrent } from "@tauri-apps/plugin-window";
+   * const unlisten = await getCurrent().watchState((state, changes) => {
+   *  if ('isMaximized' in changes) {
+   *    console.log('Maximized changed: ' + state.isMaximized);
+   *  }
+   * });
+   *
+   * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+   * unlisten();
+   * ```
+   *
+   * @returns A promise resolving to a function to stop watching the state.
+   * Note that stopping is required if your handler goes out of scope e.g. the component is unmounted.
+   *
+   * @since 2.0.0
    */
-  UnderWindowBackground = "underWindowBackground",
+  async watchState(handler: WindowStateHandler): Promise<UnlistenFn> {
+    const store = await createWindowStateStore(this);
+    store.subscribe(handler);
+    return () => {
+      store.destroy();
+    };
+  }
+}
+
+/**
+ * The window state kept up-to-date by a {@link WindowStateStore}.
+ *
+ * @since 2.0.0
+ */
+type WatchedWindowState = Pick<
+  WindowState,
+  | "innerSize"
+  | "outerPosition"
+  | "isFocused"
+  | "isMaximized"
+  | "isMinimized"
+  | "isFullscreen"
+  | "theme"
+  | "scaleFactor"
+>;
+
+/**
+ * Handler called with the current window state and the fields that changed.
+ *
+ * @since 2.0.0
+ */
+type WindowStateHandler = (
+  state: WatchedWindowState,
+  changes: Partial<WatchedWindowState>,
+) => void;
+
+const watchedStateFields: Array<keyof WatchedWindowState> = [
+  "innerSize",
+  "outerPosition",
+  "isFocused",
+  "isMaximized",
+  "isMinimized",
+  "isFullscreen",
+  "theme",
+  "scaleFactor",
+];
+
+// these can change on any resize without a dedicated event
+const resizeStateFields: Array<keyof WatchedWindowState> = [
+  "outerPosition",
+  "isMaximized",
+  "isMinimized",
+  "isFullscreen",
+];
+
+function stateValueEquals(a: unknown, b: unknown): boolean {
+  if (
+    typeof a === "object" &&
+    a !== null &&
+    typeof b === "object" &&
+    b !== null
+  ) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(
+        (key) =>
+          (a as Record<string, unknown>)[key] ===
+          (b as Record<string, unknown>)[key],
+      )
+    );
+  }
+  return a === b;
+}
+
+/**
+ * A store that keeps the state of a window up-to-date using the window events,
+ * notifying subscribers with the changed fields.
+ *
+ * The `subscribe` method follows the Svelte store contract,
+ * so the store can be used directly as a Svelte store or with React's `useSyncExternalStore`.
+ *
+ * @since 2.0.0
+ */
+class WindowStateStore {
+  /** The window whose state is tracked. */
+  window: Window;
+  private _state: WatchedWindowState;
+  private _subscribers = new Set<WindowStateHandler>();
+  private _unlisteners: UnlistenFn[] = [];
+
+  /** @ignore */
+  constructor(appWindow: Window, state: WatchedWindowState) {
+    this.window = appWindow;
+    this._state = state;
+  }
+
+  /** Gets the current window state. */
+  get(): WatchedWindowState {
+    return this._state;
+  }
+
   /**
-   *  **macOS 10.14+**
+   * Subscribes to state changes. The handler is called immediately with the current state.
+   *
+   * @returns A function to unsubscribe.
    */
-  UnderPageBackground = "underPageBackground",
+  subscribe(handler: WindowStateHandler): () => void {
+    this._subscribers.add(handler);
+    handler(this._state, this._state);
+    return () => {
+      this._subscribers.delete(handler);
+    };
+  }
+
+  /** Stops listening to the window events and removes all subscribers. */
+  destroy(): void {
+    for (const unlisten of this._unlisteners) {
+      unlisten();
+    }
+    this._unlisteners = [];
+    this._subscribers.clear();
+  }
+
+  /** @ignore */
+  _setUnlisteners(unlisteners: UnlistenFn[]): void {
+    this._unlisteners = unlisteners;
+  }
+
+  /** @ignore */
+  _update(patch: Partial<WatchedWindowState>): void {
+    const changes: Partial<WatchedWindowState> = {};
+    for (const key of Object.keys(patch) as Array<keyof WatchedWindowState>) {
+      // eslint-disable-next-line security/detect-object-injection
+      if (!stateValueEquals(this._state[key], patch[key])) {
+        // eslint-disable-next-line security/detect-object-injection
+        Object.assign(changes, { [key]: patch[key] });
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+    this._state = { ...this._state, ...changes };
+    for (const handler of this._subscribers) {
+      handler(this._state, changes);
+    }
+  }
+}
+
+/**
+ * Creates a store that keeps the window state up-to-date by combining an initial {@link Window.getState} snapshot
+ * with the resize, move, focus, scale, theme, minimized, maximized and fullscreen events.
+ *
+ * @example
+ * ```typescript
+ * import { createWindowStateStore, getCurrent } from "@tauri-apps/plugin-window";
+ * const store = await createWindowStateStore(getCurrent());
+ * const unsubscribe = store.subscribe((state, changes) => {
+ *  console.log('Window state changed', changes);
+ * });
+ *
+ * // you need to destroy the store if it goes out of scope e.g. the component is unmounted
+ * store.destroy();
+ * ```
+ *
+ * @param appWindow The window to track. Defaults to the current window.
+ * @returns A promise resolving to the store once the initial state has been read.
+ *
+ * @since 2.0.0
+ */
+async function createWindowStateStore(
+  appWindow: Window = getCurrent(),
+): Promise<WindowStateStore> {
+  let store: WindowStateStore | null = null;
+  // events received before the initial snapshot are applied on top of it
+  const pending: Array<Partial<WatchedWindowState>> = [];
+  // the update that last changed each field, so a late state response never overrides a more recent update
+  let sequence = 0;
+  const updatedAt: Partial<Record<keyof WatchedWindowState, number>> = {};
+  const apply = (patch: Partial<WatchedWindowState>): void => {
+    sequence += 1;
+    for (const field of Object.keys(patch) as Array<keyof WatchedWindowState>) {
+      // eslint-disable-next-line security/detect-object-injection
+      updatedAt[field] = sequence;
+    }
+    if (store) {
+      store._update(patch);
+    } else {
+      pending.push(patch);
+    }
+  };
+
+  const unlisteners = await Promise.all([
+    appWindow.onResized(({ payload }) => {
+      apply({ innerSize: payload });
+      const requestedAt = sequence;
+      void appWindow
+        .getState(resizeStateFields)
+        .then((state) => {
+          const patch: Partial<WatchedWindowState> = {};
+          for (const field of resizeStateFields) {
+            // eslint-disable-next-line security/detect-object-injection
+            if ((updatedAt[field] ?? 0) <= requestedAt) {
+              // eslint-disable-next-line security/detect-object-injection
+              Object.assign(patch, { [field]: state[field] });
+            }
+          }
+          apply(patch);
+        })
+        .catch(() => null);
+    }),
+    appWindow.onMoved(({ payload }) => {
+      apply({ outerPosition: payload });
+    }),
+    appWindow.onFocusChanged(({ payload }) => {
+      apply({ isFocused: payload });
+    }),
+    appWindow.onScaleChanged(({ payload }) => {
+      apply({
+        scaleFactor: payload.scaleFactor,
+        innerSize: mapPhysicalSize(payload.size),
+      });
+    }),
+    appWindow.onThemeChanged(({ payload }) => {
+      apply({ theme: payload });
+    }),
+    appWindow.onMinimizedChanged(({ payload }) => {
+      apply({ isMinimized: payload });
+    }),
+    appWindow.onMaximizedChanged(({ payload }) => {
+      apply({ isMaximized: payload });
+    }),
+    appWindow.onFullscreenChanged(({ payload }) => {
+      apply({ isFullscreen: payload });
+    }),
+  ]);
+
+  try {
+    store = new WindowStateStore(
+      appWindow,
+      await appWindow.getState(watchedStateFields),
+    );
+  } catch (e) {
+    unlisteners.forEach((unlisten) => {
+      unlisten();
+    });
+    throw e;
+  }
+  store._setUnlisteners(unlisteners);
+  for (const patch of pending) {
+    store._update(patch);
+  }
+  return store;
+}
+
+/**
+ * Options for {@link createSharedState}.
+ *
+ * @since 2.0.0
+ */
+interface SharedStateOptions {
   /**
-   *  **Windows 11 Only**
+   * How long to wait for the other windows to send their value, in milliseconds. Defaults to `200`.
+   * A newer value received later still replaces the local one.
    */
-  Mica = "mica",
+  hydrationTimeout?: number;
+}
+
+/** @ignore */
+// the value of a shared state and the write it comes from
+interface SharedStateSnapshot<T> {
+  value: T;
+  version: number;
+  writer: WindowLabel;
+}
+
+/** @ignore */
+// last writer wins, concurrent writes are ordered by the label of their window so all windows keep the same one
+function isNewerSnapshot<T>(
+  a: SharedStateSnapshot<T>,
+  b: SharedStateSnapshot<T>,
+): boolean {
+  return (
+    a.version > b.version || (a.version === b.version && a.writer > b.writer)
+  );
+}
+
+/**
+ * A value kept consistent across all windows, created with {@link createSharedState}.
+ *
+ * Each write increments the version of the value and is sent to every window,
+ * which keeps the write with the highest version.
+ * The `subscribe` method follows the Svelte store contract.
+ *
+ * @since 2.0.0
+ */
+class SharedState<T> {
+  /** The key identifying the state across windows. */
+  key: string;
+  private _snapshot: SharedStateSnapshot<T>;
+  private _subscribers = new Set<(value: T) => void>();
+  private _unlisteners: UnlistenFn[] = [];
+
+  /** @ignore */
+  constructor(key: string, initial: T) {
+    this.key = key;
+    this._snapshot = { value: initial, version: 0, writer: "" };
+  }
+
+  /** Gets the current value. */
+  get(): T {
+    return this._snapshot.value;
+  }
+
   /**
-   * **Windows 7/10/11(22H1) Only**
-   *
-   * ## Notes
+   * Sets the value in all windows.
    *
-   * This effect has bad performance when resizing/dragging the window on Windows 11 build 22621.
+   * @param value The new value, or a function computing it from the current value.
    */
-  Blur = "blur",
+  async set(value: T | ((value: T) => T)): Promise<void> {
+    const snapshot: SharedStateSnapshot<T> = {
+      value:
+        typeof value === "function"
+          ? (value as (value: T) => T)(this._snapshot.value)
+          : value,
+      version: this._snapshot.version + 1,
+      writer: getCurrent().label,
+    };
+    this._update(snapshot);
+    // the other states of this window with the same key receive it too
+    return emitToAll(sharedStateEvent(this.key), snapshot);
+  }
+
   /**
-   * **Windows 10/11**
-   *
-   * ## Notes
+   * Subscribes to value changes. The handler is called immediately with the current value.
    *
-   * This effect has bad performance when resizing/dragging the window on Windows 10 v1903+ and Windows 11 build 22000.
+   * @returns A function to unsubscribe.
    */
-  Acrylic = "acrylic",
+  subscribe(handler: (value: T) => void): () => void {
+    this._subscribers.add(handler);
+    handler(this._snapshot.value);
+    return () => {
+      this._subscribers.delete(handler);
+    };
+  }
+
+  /** Stops synchronizing the value and removes all subscribers. */
+  destroy(): void {
+    for (const unlisten of this._unlisteners) {
+      unlisten();
+    }
+    this._unlisteners = [];
+    this._subscribers.clear();
+  }
+
+  /** @ignore */
+  _setUnlisteners(unlisteners: UnlistenFn[]): void {
+    this._unlisteners = unlisteners;
+  }
+
+  /** @ignore */
+  _getSnapshot(): SharedStateSnapshot<T> {
+    return this._snapshot;
+  }
+
+  /** @ignore */
+  _update(snapshot: SharedStateSnapshot<T>): void {
+    if (!isNewerSnapshot(snapshot, this._snapshot)) {
+      return;
+    }
+    this._snapshot = snapshot;
+    for (const handler of this._subscribers) {
+      handler(snapshot.value);
+    }
+  }
+}
+
+/** @ignore */
+// `emitTo` only takes event names made of alphanumeric characters and `-`, `/`, `:` or `_`,
+// so every other character of the key, and `_` itself, is escaped as `_<code point in hex>_`
+function sharedStateKey(key: string): string {
+  return key.replace(
+    /[^A-Za-z0-9\-/:]/gu,
+    (c) => `_${(c.codePointAt(0) as number).toString(16)}_`,
+  );
+}
+
+/** @ignore */
+// the `window://` events are reserved to the backend, see `emitTo`
+function sharedStateEvent(key: string): string {
+  return `plugin-window:shared-state/${sharedStateKey(key)}`;
+}
+
+/** @ignore */
+function sharedStateSyncEvent(key: string): string {
+  return `plugin-window:shared-state-sync/${sharedStateKey(key)}`;
+}
+
+/**
+ * Creates a value kept consistent across all windows, identified by its key.
+ * The state asks the other windows for their value, so a window created after the value was set,
+ * e.g. with `new Window(...)`, starts with the current value instead of the initial one.
+ *
+ * @example
+ * ```typescript
+ * import { createSharedState } from "@tauri-apps/plugin-window";
+ * const preferences = await createSharedState('preferences', { theme: 'light' });
+ * const unsubscribe = preferences.subscribe((value) => {
+ *  console.log('Preferences changed', value);
+ * });
+ * await preferences.set((value) => ({ ...value, theme: 'dark' }));
+ *
+ * // you need to destroy the state if it goes out of scope e.g. the component is unmounted
+ * preferences.destroy();
+ * ```
+ *
+ * @param key The key identifying the state across windows.
+ * @param initial The value used until a window sets it.
+ * @param options The shared state options.
+ * @returns A promise resolving to the state once the other windows sent their value, or after the hydration timeout.
+ *
+ * @since 2.0.0
+ */
+async function createSharedState<T>(
+  key: string,
+  initial: T,
+  options: SharedStateOptions = {},
+): Promise<SharedState<T>> {
+  const state = new SharedState(key, initial);
+  const current = getCurrent();
+
+  let hydrated: () => void = () => {};
+  const hydration = new Promise<void>((resolve) => {
+    hydrated = resolve;
+  });
+
+  state._setUnlisteners(
+    await Promise.all([
+      current.listen<SharedStateSnapshot<T>>(
+        sharedStateEvent(key),
+        ({ payload }) => {
+          state._update(payload);
+          hydrated();
+        },
+      ),
+      current.listen<{ label: WindowLabel }>(
+        sharedStateSyncEvent(key),
+        ({ payload }) => {
+          const snapshot = state._getSnapshot();
+          // a value nobody set is not worth sending
+          if (snapshot.version > 0) {
+            void emitTo([payload.label], sharedStateEvent(key), snapshot).catch(
+              () => null,
+            );
+          }
+        },
+      ),
+    ]),
+  );
+
+  try {
+    await emitToAll(sharedStateSyncEvent(key), { label: current.label });
+  } catch (e) {
+    state.destroy();
+    throw e;
+  }
+  setTimeout(hydrated, options.hydrationTimeout ?? 200);
+  await hydration;
+  return state;
+}
+
+/**
+ * A button of the title bar created with {@link createTitleBar}.
+ *
+ * @since 2.0.0
+ */
+type TitleBarButton = "minimize" | "maximize" | "close";
+
+/**
+ * Options for {@link createTitleBar}.
+ *
+ * @since 2.0.0
+ */
+interface TitleBarOptions {
+  /** The window the title bar controls. Defaults to the current window. */
+  window?: Window;
+  /** Whether to show the window title. Defaults to `true`. */
+  title?: boolean;
+  /** The buttons to add, in order. Defaults to `["minimize", "maximize", "close"]`. */
+  buttons?: TitleBarButton[];
+  /**
+   * The content of the buttons, as text or as a node (e.g. an SVG icon) that is cloned into the button.
+   * The `restore` content replaces the `maximize` one while the window is maximized.
+   */
+  icons?: Partial<Record<TitleBarButton | "restore", string | Node>>;
+}
+
+/** @ignore */
+const defaultTitleBarIcons: Record<TitleBarButton | "restore", string> = {
+  minimize: "—",
+  maximize: "□",
+  restore: "❐",
+  close: "✕",
+};
+
+/** @ignore */
+const titleBarLabels: Record<TitleBarButton | "restore", string> = {
+  minimize: "Minimize",
+  maximize: "Maximize",
+  restore: "Restore",
+  close: "Close",
+};
+
+/** @ignore */
+const titleBarStateFields = [
+  "title",
+  "isMaximized",
+  "isFocused",
+  "isMinimizable",
+  "isMaximizable",
+  "isClosable",
+] as const;
+
+/** @ignore */
+type TitleBarState = Pick<WindowState, (typeof titleBarStateFields)[number]>;
+
+/**
+ * A title bar for windows without decorations, created with {@link createTitleBar}.
+ *
+ * The title bar element is a drag region and gets the `data-maximized` and `data-focused` attributes
+ * while the window is maximized or focused. It contains a `.tauri-titlebar-title` element with the window title
+ * and a `.tauri-titlebar-buttons` element with a `button.tauri-titlebar-button` for each button,
+ * identified by its `data-tauri-titlebar-button` attribute.
+ *
+ * @since 2.0.0
+ */
+class TitleBar {
+  /** The title bar element. */
+  element: HTMLElement;
+  /** The window the title bar controls. */
+  window: Window;
+  private _title: HTMLElement | null = null;
+  private _buttons: Partial<Record<TitleBarButton, HTMLButtonElement>> = {};
+  private _nodes: HTMLElement[] = [];
+  private _icons: Record<TitleBarButton | "restore", string | Node>;
+  private _unlisteners: UnlistenFn[] = [];
+  // the `data-tauri-drag-region` attribute of the element before it became a title bar
+  private _dragRegion: string | null;
+
+  /** @ignore */
+  constructor(element: HTMLElement, options: TitleBarOptions) {
+    this.element = element;
+    this.window = options.window ?? getCurrent();
+    this._icons = { ...defaultTitleBarIcons, ...options.icons };
+
+    this._dragRegion = element.getAttribute("data-tauri-drag-region");
+    element.setAttribute("data-tauri-drag-region", "");
+    if (options.title ?? true) {
+      this._title = document.createElement("span");
+      this._title.className = "tauri-titlebar-title";
+      this._nodes.push(this._title);
+    }
+
+    const container = document.createElement("div");
+    container.className = "tauri-titlebar-buttons";
+    container.setAttribute("data-tauri-drag-region", "false");
+    for (const kind of options.buttons ?? ["minimize", "maximize", "close"]) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "tauri-titlebar-button";
+      button.setAttribute("data-tauri-titlebar-button", kind);
+      button.addEventListener("click", () => {
+        // e.g. the window stopped being closable, so show its actual state
+        void this._press(kind)
+          .catch(() => this.refresh())
+          .catch(() => null);
+      });
+      // eslint-disable-next-line security/detect-object-injection
+      this._buttons[kind] = button;
+      container.append(button);
+    }
+    this._nodes.push(container);
+    element.append(...this._nodes);
+  }
+
+  /**
+   * Reads the window state again, e.g. after changing the title or whether the window is minimizable,
+   * maximizable or closable, which have no change events.
+   */
+  async refresh(): Promise<void> {
+    this._render(await this.window.getState([...titleBarStateFields]));
+  }
+
+  /** Stops listening to the window events, removes the title bar content and restores the element's drag region attribute. */
+  destroy(): void {
+    for (const unlisten of this._unlisteners) {
+      unlisten();
+    }
+    this._unlisteners = [];
+    for (const node of this._nodes) {
+      node.remove();
+    }
+    this._nodes = [];
+    if (this._dragRegion === null) {
+      this.element.removeAttribute("data-tauri-drag-region");
+    } else {
+      this.element.setAttribute("data-tauri-drag-region", this._dragRegion);
+    }
+    this.element.removeAttribute("data-maximized");
+    this.element.removeAttribute("data-focused");
+  }
+
+  /** @ignore */
+  _setUnlisteners(unlisteners: UnlistenFn[]): void {
+    this._unlisteners = unlisteners;
+  }
+
+  /** @ignore */
+  _render(state: Partial<TitleBarState>): void {
+    if (state.title !== undefined && this._title) {
+      this._title.textContent = state.title;
+    }
+    if (state.isFocused !== undefined) {
+      this.element.toggleAttribute("data-focused", state.isFocused);
+    }
+    if (state.isMaximized !== undefined) {
+      this.element.toggleAttribute("data-maximized", state.isMaximized);
+      const icon = state.isMaximized ? "restore" : "maximize";
+      this._setButton("maximize", icon);
+    }
+    if (state.isMinimizable !== undefined) {
+      this._setButton("minimize", "minimize", !state.isMinimizable);
+    }
+    if (state.isMaximizable !== undefined) {
+      this._setButton("maximize", undefined, !state.isMaximizable);
+    }
+    if (state.isClosable !== undefined) {
+      this._setButton("close", "close", !state.isClosable);
+    }
+  }
+
+  /** @ignore */
+  _setButton(
+    kind: TitleBarButton,
+    icon?: TitleBarButton | "restore",
+    disabled?: boolean,
+  ): void {
+    // eslint-disable-next-line security/detect-object-injection
+    const button = this._buttons[kind];
+    if (!button) {
+      return;
+    }
+    if (icon !== undefined) {
+      // eslint-disable-next-line security/detect-object-injection
+      const content = this._icons[icon];
+      button.replaceChildren(
+        typeof content === "string" ? content : content.cloneNode(true),
+      );
+      // eslint-disable-next-line security/detect-object-injection
+      button.setAttribute("aria-label", titleBarLabels[icon]);
+      // eslint-disable-next-line security/detect-object-injection
+      button.title = titleBarLabels[icon];
+    }
+    if (disabled !== undefined) {
+      button.disabled = disabled;
+    }
+  }
+
+  /** @ignore */
+  async _press(kind: TitleBarButton): Promise<void> {
+    switch (kind) {
+      case "minimize":
+        return this.window.minimize();
+      case "maximize":
+        return this.window.toggleMaximize();
+      case "close":
+        return this.window.close();
+    }
+  }
+}
+
+/**
+ * Turns the element into a title bar for a window without decorations:
+ * the element becomes a drag region that maximizes the window on double click by default,
+ * and gets the window title and minimize, maximize and close buttons.
+ *
+ * The buttons are disabled when the window is not minimizable, maximizable or closable,
+ * and the maximize button becomes a restore button while the window is maximized.
+ * See {@link TitleBar} for the elements and attributes to style.
+ *
+ * @example
+ * ```typescript
+ * import { createTitleBar } from "@tauri-apps/plugin-window";
+ * const titleBar = await createTitleBar(document.getElementById("titlebar")!, {
+ *   buttons: ["minimize", "close"],
+ * });
+ *
+ * // you need to destroy the title bar if it goes out of scope e.g. the component is unmounted
+ * titleBar.destroy();
+ * ```
+ *
+ * @param element The element to turn into a title bar.
+ * @param options The title bar options.
+ * @returns A promise resolving to the title bar once the window state has been read.
+ *
+ * @since 2.0.0
+ */
+async function createTitleBar(
+  element: HTMLElement,
+  options: TitleBarOptions = {},
+): Promise<TitleBar> {
+  const titleBar = new TitleBar(element, options);
+  try {
+    titleBar._setUnlisteners(
+      await Promise.all([
+        titleBar.window.onMaximizedChanged(({ payload }) => {
+          titleBar._render({ isMaximized: payload });
+        }),
+        titleBar.window.onFocusChanged(({ payload }) => {
+          titleBar._render({ isFocused: payload });
+        }),
+      ]),
+    );
+    await titleBar.refresh();
+  } catch (e) {
+    titleBar.destroy();
+    throw e;
+  }
+  return titleBar;
+}
+
+/**
+ * The methods of a {@link WindowChannel}, mapping each method name to the signature of its handler.
+ *
+ * @example
+ * ```typescript
+ * type EditorMessages = {
+ *   hasUnsavedChanges: () => boolean;
+ *   open: (path: string) => void;
+ *   save: (path?: string) => Promise<string>;
+ * };
+ * ```
+ *
+ * @since 2.0.0
+ */
+type ChannelMessages<T> = { [M in keyof T]: (...params: never[]) => unknown };
+
+/**
+ * Options for {@link WindowChannel}.
+ *
+ * @since 2.0.0
+ */
+interface WindowChannelOptions {
+  /** How long {@link WindowChannel.request} waits for the response, in milliseconds. Defaults to `5000`. */
+  timeout?: number;
+}
+
+/**
+ * The error codes a {@link WindowChannel} request can fail with.
+ *
+ * @since 2.0.0
+ */
+type ChannelErrorCode = "Timeout" | "HandlerFailed" | "NoHandler" | "Closed";
+
+/**
+ * The error a {@link WindowChannel.request} rejects with.
+ *
+ * @since 2.0.0
+ */
+class ChannelError extends Error {
+  /**
+   * The error code:
+   * - `Timeout`: the other window did not respond in time, e.g. it has no channel open or was closed.
+   * - `HandlerFailed`: the handler of the other window threw, the message is the one of the thrown error.
+   * - `NoHandler`: the other window does not handle the method.
+   * - `Closed`: the channel was closed before the response arrived.
+   */
+  code: ChannelErrorCode;
+  /** The method that was requested. */
+  method: string;
+
+  constructor(code: ChannelErrorCode, message: string, method: string) {
+    super(message);
+    this.name = "ChannelError";
+    this.code = code;
+    this.method = method;
+  }
+}
+
+/** @ignore */
+type ChannelEnvelope =
+  | {
+      kind: "send" | "request";
+      id: number;
+      method: string;
+      params: unknown[];
+    }
+  | {
+      kind: "response";
+      id: number;
+      result?: unknown;
+      error?: string;
+      code?: ChannelErrorCode;
+    };
+
+/** @ignore */
+// tells a window a channel message is waiting for it in the backend
+interface ChannelNotice {
+  id: number;
+  channel: string;
+  /** The sender, as claimed by the notice. */
+  from: WindowLabel;
+}
+
+/** @ignore */
+// a channel message read from the backend, which knows the window that really sent it
+interface ReceivedChannelMessage {
+  from: WindowLabel;
+  envelope: ChannelEnvelope;
+}
+
+/** @ignore */
+// unique across the channels of the window, so a response can only match the request it answers
+let nextChannelRequestId = 0;
+
+/**
+ * A typed channel between the current window and another window.
+ * Both windows open a channel with the same name, targeting each other, and share the `TMessages` type:
+ * one side handles the methods, the other sends messages or requests them and awaits their result.
+ * A channel only accepts messages from the window it targets, as verified by the backend,
+ * and a window can only have one channel with a given name and target.
+ *
+ * @example
+ * ```typescript
+ * import { Window, WindowChannel } from '@tauri-apps/plugin-window';
+ * type EditorMessages = { hasUnsavedChanges: () => boolean };
+ *
+ * // in the editor window
+ * const channel = new WindowChannel<EditorMessages>('editor', 'main');
+ * await channel.handle('hasUnsavedChanges', () => editor.isDirty());
+ *
+ * // in the main window
+ * const editor = Window.getByLabel('editor')!;
+ * const channel = new WindowChannel<EditorMessages>('editor', editor);
+ * if (!(await channel.request('hasUnsavedChanges'))) {
+ *   await editor.close();
+ * }
+ * ```
+ *
+ * @since 2.0.0
+ */
+class WindowChannel<TMessages extends ChannelMessages<TMessages>> {
+  /** The channel name. */
+  name: string;
+  /** The window the channel talks to. */
+  target: Window;
+  private _timeout: number;
+  private _handlers = new Map<string, (...params: never[]) => unknown>();
+  private _pending = new Map<
+    number,
+    {
+      method: string;
+      resolve: (result: unknown) => void;
+      reject: (error: ChannelError) => void;
+      timer: ReturnType<typeof setTimeout>;
+    }
+  >();
+
+  private _listening: Promise<UnlistenFn> | null = null;
+
+  /**
+   * Opens a channel to another window.
+   *
+   * @param name The channel name.
+   * @param target The window to talk to, or its label.
+   * @param options The channel options.
+   */
+  constructor(
+    name: string,
+    target: Window | WindowLabel,
+    options: WindowChannelOptions = {},
+  ) {
+    this.name = name;
+    this.target =
+      typeof target === "string" ? mapWindowDef({ label: target }) : target;
+    this._timeout = options.timeout ?? 5000;
+  }
+
+  /**
+   * Sends a message to the other window without waiting for it to be handled.
+   *
+   * @param method The method to call on the other window.
+   * @param params The parameters of the method.
+   */
+  async send<M extends keyof TMessages & string>(
+    method: M,
+    ...params: Parameters<TMessages[M]>
+  ): Promise<void> {
+    await this._post({
+      kind: "send",
+      id: ++nextChannelRequestId,
+      method,
+      params,
+    });
+  }
+
+  /**
+   * Calls a method on the other window and waits for its result.
+   *
+   * @param method The method to call on the other window.
+   * @param params The parameters of the method.
+   * @returns A promise resolving to the result of the handler of the other window,
+   * or rejecting with a {@link ChannelError} if it has no handler for the method, if the handler throws
+   * or if it does not respond in time.
+   */
+  async request<M extends keyof TMessages & string>(
+    method: M,
+    ...params: Parameters<TMessages[M]>
+  ): Promise<Awaited<ReturnType<TMessages[M]>>> {
+    // the response can only be received once the channel listens
+    await this._listen();
+    const id = ++nextChannelRequestId;
+    const response = new Promise<unknown>((resolve, reject) => {
+      this._pending.set(id, {
+        method,
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this._pending.delete(id);
+          reject(
+            new ChannelError(
+              "Timeout",
+              `window \`${this.target.label}\` did not respond to \`${method}\` in ${this._timeout}ms`,
+              method,
+            ),
+          );
+        }, this._timeout),
+      });
+    });
+    try {
+      await this._post({
+        kind: "request",
+        id,
+        method,
+        params,
+      });
+    } catch (e) {
+      const pending = this._pending.get(id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this._pending.delete(id);
+      }
+      throw e;
+    }
+    return response as Promise<Awaited<ReturnType<TMessages[M]>>>;
+  }
+
+  /**
+   * Handles a method called by the other window. The result of the handler, awaited if it is a promise,
+   * is the result of the request. A method has a single handler, registering another one replaces it.
+   *
+   * @param method The method to handle.
+   * @param handler The method handler.
+   * @returns A promise resolving to a function to remove the handler.
+   */
+  async handle<M extends keyof TMessages & string>(
+    method: M,
+    handler: (
+      ...params: Parameters<TMessages[M]>
+    ) => ReturnType<TMessages[M]> | Awaited<ReturnType<TMessages[M]>>,
+  ): Promise<UnlistenFn> {
+    this._handlers.set(method, handler as (...params: never[]) => unknown);
+    await this._listen();
+    return () => {
+      if (this._handlers.get(method) === handler) {
+        this._handlers.delete(method);
+      }
+    };
+  }
+
+  /** Stops listening, removes the handlers and rejects the pending requests. */
+  close(): void {
+    void this._listening?.then((unlisten) => {
+      unlisten();
+    });
+    this._listening = null;
+    this._handlers.clear();
+    for (const { method, reject, timer } of this._pending.values()) {
+      clearTimeout(timer);
+      reject(new ChannelError("Closed", "the channel was closed", method));
+    }
+    this._pending.clear();
+  }
+
+  /** @ignore */
+  async _post(envelope: ChannelEnvelope): Promise<void> {
+    return invoke("plugin:window|post_channel_message", {
+      label: this.target.label,
+      channel: this.name,
+      envelope,
+    });
+  }
+
+  /** @ignore */
+  async _listen(): Promise<UnlistenFn> {
+    if (!this._listening) {
+      this._listening = getCurrent().listen<ChannelNotice>(
+        PluginEvent.CHANNEL_MESSAGE,
+        ({ payload }) => {
+          if (
+            payload.channel !== this.name ||
+            payload.from !== this.target.label
+          ) {
+            return;
+          }
+          // anyone can emit a notice, only the message stored by the backend tells the real sender
+          void invoke<ReceivedChannelMessage | null>(
+            "plugin:window|receive_channel_message",
+            { id: payload.id },
+          )
+            .then((message) => {
+              if (message?.from === this.target.label) {
+                this._receive(message.envelope);
+              }
+            })
+            .catch(() => null);
+        },
+      );
+      // allow retrying after a failure
+      this._listening.catch(() => {
+        this._listening = null;
+      });
+    }
+    return this._listening;
+  }
+
+  /** @ignore */
+  _receive(envelope: ChannelEnvelope): void {
+    if (envelope.kind === "response") {
+      const pending = this._pending.get(envelope.id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this._pending.delete(envelope.id);
+        if (envelope.error !== undefined) {
+          pending.reject(
+            new ChannelError(
+              envelope.code ?? "HandlerFailed",
+              envelope.error,
+              pending.method,
+            ),
+          );
+        } else {
+          pending.resolve(envelope.result);
+        }
+      }
+      return;
+    }
+
+    const { kind, id } = envelope;
+    const handler = this._handlers.get(envelope.method);
+    if (!handler) {
+      if (kind === "request") {
+        void this._post({
+          kind: "response",
+          id,
+          error: `window \`${getCurrent().label}\` does not handle \`${envelope.method}\``,
+          code: "NoHandler",
+        }).catch(() => null);
+      }
+      return;
+    }
+    new Promise((resolve) => {
+      resolve(handler(...(envelope.params as never[])));
+    })
+      .then(
+        (result) => ({
+          kind: "response",
+          id,
+          result,
+        }),
+        (e: unknown) => ({
+          kind: "response",
+          id,
+          error: e instanceof Error ? e.message : String(e),
+        }),
+      )
+      .then(async (response) => {
+        if (kind === "request") {
+          await this._post(response as ChannelEnvelope);
+        }
+      })
+      .catch(() => {
+        // the other window is gone, nobody waits for the response
+      });
+  }
+}
+
+/**
+ * an array RGBA colors. Each value has minimum of 0 and maximum of 255.
+ *
+ * @since 2.0
+ */
+type Color = [number, number, number, number];
+
+/**
+ * Platform-specific window effects
+ *
+ * @since 2.0
+ */
+enum Effect {
+  /**
+   * A default material appropriate for the view's effectiveAppearance.  **macOS 10.14-**
+   *
+   * @deprecated since macOS 10.14. You should instead choose an appropriate semantic material.
+   */
+  AppearanceBased = "appearanceBased",
+  /**
+   *  **macOS 10.14-**
+   *
+   * @deprecated since macOS 10.14. Use a semantic material instead.
+   */
+  Light = "light",
+  /**
+   *  **macOS 10.14-**
+   *
+   * @deprecated since macOS 10.14. Use a semantic material instead.
+   */
+  Dark = "dark",
+  /**
+   *  **macOS 10.14-**
+   *
+   * @deprecated since macOS 10.14. Use a semantic material instead.
+   */
+  MediumLight = "mediumLight",
+  /**
+   *  **macOS 10.14-**
+   *
+   * @deprecated since macOS 10.14. Use a semantic material instead.
+   */
+  UltraDark = "ultraDark",
+  /**
+   *  **macOS 10.10+**
+   */
+  Titlebar = "titlebar",
+  /**
+   *  **macOS 10.10+**
+   */
+  Selection = "selection",
+  /**
+   *  **macOS 10.11+**
+   */
+  Menu = "menu",
+  /**
+   *  **macOS 10.11+**
+   */
+  Popover = "popover",
+  /**
+   *  **macOS 10.11+**
+   */
+  Sidebar = "sidebar",
+  /**
+   *  **macOS 10.14+**
+   */
+  HeaderView = "headerView",
+  /**
+   *  **macOS 10.14+**
+   */
+  Sheet = "sheet",
+  /**
+   *  **macOS 10.14+**
+   */
+  WindowBackground = "windowBackground",
+  /**
+   *  **macOS 10.14+**
+   */
+  HudWindow = "hudWindow",
+  /**
+   *  **macOS 10.14+**
+   */
+  FullScreenUI = "fullScreenUI",
+  /**
+   *  **macOS 10.14+**
+   */
+  Tooltip = "tooltip",
+  /**
+   *  **macOS 10.14+**
+   */
+  ContentBackground = "contentBackground",
+  /**
+   *  **macOS 10.14+**
+   */
+  UnderWindowBackground = "underWindowBackground",
+  /**
+   *  **macOS 10.14+**
+   */
+  UnderPageBackground = "underPageBackground",
+  /**
+   *  **Windows 11 Only**
+   */
+  Mica = "mica",
+  /**
+   * **Windows 7/10/11(22H1) Only**
+   *
+   * ## Notes
+   *
+   * This effect has bad performance when resizing/dragging the window on Windows 11 build 22621.
+   */
+  Blur = "blur",
+  /**
+   * **Windows 10/11**
+   *
+   * ## Notes
+   *
+   * This effect has bad performance when resizing/dragging the window on Windows 10 v1903+ and Windows 11 build 22000.
+   */
+  Acrylic = "acrylic",
+}
+
+/**
+ * Window effect state **macOS only**
+ *
+ * @see https://developer.apple.com/documentation/appkit/nsvisualeffectview/state
+ *
+ * @since 2.0
+ */
+enum EffectState {
+  /**
+   *  Make window effect state follow the window's active state **macOS only**
+   */
+  FollowsWindowActiveState = "followsWindowActiveState",
+  /**
+   *  Make window effect state always active **macOS only**
+   */
+  Active = "active",
+  /**
+   *  Make window effect state always inactive **macOS only**
+   */
+  Inactive = "inactive",
+}
+
+/** The window effects configuration object
+ *
+ * @since 2.0
+ */
+interface Effects {
+  /**
+   *  List of Window effects to apply to the Window.
+   * Conflicting effects will apply the first one and ignore the rest.
+   */
+  effects: Effect[];
+  /**
+   * Window effect state **macOS Only**
+   */
+  state?: EffectState;
+  /**
+   * Window effect corner radius **macOS Only**
+   */
+  radius?: number;
+  /**
+   *  Window effect color. Affects {@link Effects.Blur} and {@link Effects.Acrylic} only
+   * on Windows 10 v1903+. Doesn't have any effect on Windows 7 or Windows 11.
+   */
+  color?: Color;
+}
+
+/**
+ * A snapshot of the window's state, returned by {@link Window.getState}.
+ *
+ * @since 2.0.0
+ */
+interface WindowState {
+  /** The scale factor that can be used to map physical pixels to logical pixels. */
+  scaleFactor: number;
+  /** The position of the top-left hand corner of the window's client area. */
+  innerPosition: PhysicalPosition;
+  /** The position of the top-left hand corner of the window. */
+  outerPosition: PhysicalPosition;
+  /** The physical size of the window's client area. */
+  innerSize: PhysicalSize;
+  /** The physical size of the entire window. */
+  outerSize: PhysicalSize;
+  /** Whether the window is in fullscreen mode or not. */
+  isFullscreen: boolean;
+  /** Whether the window is minimized or not. */
+  isMinimized: boolean;
+  /** Whether the window is maximized or not. */
+  isMaximized: boolean;
+  /** Whether the window is focused or not. */
+  isFocused: boolean;
+  /** Whether the window is decorated or not. */
+  isDecorated: boolean;
+  /** Whether the window is resizable or not. */
+  isResizable: boolean;
+  /** Whether the window's native maximize button is enabled or not. */
+  isMaximizable: boolean;
+  /** Whether the window's native minimize button is enabled or not. */
+  isMinimizable: boolean;
+  /** Whether the window's native close button is enabled or not. */
+  isClosable: boolean;
+  /** Whether the window is visible or not. */
+  isVisible: boolean;
+  /** The window title. */
+  title: string;
+  /** The window theme. */
+  theme: Theme | null;
+}
+
+/**
+ * Configuration for the window to create.
+ *
+ * @since 2.0.0
+ */
+interface WindowOptions {
+  /**
+   * Remote URL or local file path to open.
+   *
+   * - URL such as `https://github.com/tauri-apps` is opened directly on a Tauri window.
+   * - data: URL such as `data:text/html,<html>...` is only supported with the `window-data-url` Cargo feature for the `tauri` dependency.
+   * - local file path or route such as `/path/to/page.html` or `/users` is appended to the application URL (the devServer URL on development, or `tauri://localhost/` and `https://tauri.localhost/` on production).
+   */
+  url?: string;
+  /** Show window in the center of the screen.. */
+  center?: boolean;
+  /** The initial vertical position. Only applies if `y` is also set. */
+  x?: number;
+  /** The initial horizontal position. Only applies if `x` is also set. */
+  y?: number;
+  /** The initial width. */
+  width?: number;
+  /** The initial height. */
+  height?: number;
+  /** The minimum width. Only applies if `minHeight` is also set. */
+  minWidth?: number;
+  /** The minimum height. Only applies if `minWidth` is also set. */
+  minHeight?: number;
+  /** The maximum width. Only applies if `maxHeight` is also set. */
+  maxWidth?: number;
+  /** The maximum height. Only applies if `maxWidth` is also set. */
+  maxHeight?: number;
+  /** Whether the window is resizable or not. */
+  resizable?: boolean;
+  /** Window title. */
+  title?: string;
+  /** Whether the window is in fullscreen mode or not. */
+  fullscreen?: boolean;
+  /** Whether the window will be initially focused or not. */
+  focus?: boolean;
+  /**
+   * Whether the window is transparent or not.
+   * Note that on `macOS` this requires the `macos-private-api` feature flag, enabled under `tauri.conf.json > tauri > macOSPrivateApi`.
+   * WARNING: Using private APIs on `macOS` prevents your application from being accepted to the `App Store`.
+   */
+  transparent?: boolean;
+  /** Whether the window should be maximized upon creation or not. */
+  maximized?: boolean;
+  /** Whether the window should be immediately visible upon creation or not. */
+  visible?: boolean;
+  /** Whether the window should have borders and bars or not. */
+  decorations?: boolean;
+  /** Whether the window should always be on top of other windows or not. */
+  alwaysOnTop?: boolean;
+  /** Prevents the window contents from being captured by other apps. */
+  contentProtected?: boolean;
+  /** Whether or not the window icon should be added to the taskbar. */
+  skipTaskbar?: boolean;
+  /**
+   *  Whether or not the window has shadow.
+   *
+   * #### Platform-specific
+   *
+   * - **Windows:**
+   *   - `false` has no effect on decorated window, shadows are always ON.
+   *   - `true` will make ndecorated window have a 1px white border,
+   * and on Windows 11, it will have a rounded corners.
+   * - **Linux:** Unsupported.
+   *
+   * @since 2.0.0
+   */
+  shadow?: boolean;
+  /**
+   * Whether the file drop is enabled or not on the webview. By default it is enabled.
+   *
+   * Disabling it is required to use drag and drop on the frontend on Windows.
+   */
+  fileDropEnabled?: boolean;
+  /**
+   * The initial window theme. Defaults to the system theme.
+   *
+   * Only implemented on Windows and macOS 10.14+.
+   */
+  theme?: Theme;
+  /**
+   * The style of the macOS title bar.
+   */
+  titleBarStyle?: TitleBarStyle;
+  /**
+   * If `true`, sets the window title to be hidden on macOS.
+   */
+  hiddenTitle?: boolean;
+  /**
+   * Whether clicking an inactive window also clicks through to the webview on macOS.
+   */
+  acceptFirstMouse?: boolean;
+  /**
+   * Defines the window [tabbing identifier](https://developer.apple.com/documentation/appkit/nswindow/1644704-tabbingidentifier) on macOS.
+   *
+   * Windows with the same tabbing identifier will be grouped together.
+   * If the tabbing identifier is not set, automatic tabbing will be disabled.
+   */
+  tabbingIdentifier?: string;
+  /**
+   * The user agent for the webview.
+   */
+  userAgent?: string;
+  /**
+   * Whether or not the webview should be launched in incognito mode.
+   *
+   * #### Platform-specific
+   *
+   * - **Android:** Unsupported.
+   */
+  incognito?: boolean;
+  /**
+   * Whether the window's native maximize button is enabled or not. Defaults to `true`.
+   */
+  maximizable?: boolean;
+  /**
+   * Whether the window's native minimize button is enabled or not. Defaults to `true`.
+   */
+  minimizable?: boolean;
+  /**
+   * Whether the window's native close button is enabled or not. Defaults to `true`.
+   */
+  closable?: boolean;
+  /**
+   * The label of the window that owns this one.
+   * The window stays above its parent, is minimized with it and is listed in {@link Window.children}.
+   * Before the parent closes, the window runs its {@link Window.onCloseRequested} handlers
+   * and the parent stays open if they prevent the window from closing.
+   */
+  parent?: WindowLabel;
+  /**
+   * The label of the window that natively owns this one, without the parent relationship:
+   * the window stays above its owner but is not listed in {@link Window.children}.
+   * Ignored if `parent` is set.
+   */
+  owner?: WindowLabel;
+  /**
+   * Whether the window should be restored to the size, position, maximized and fullscreen state
+   * it had when it was last closed. The state is saved automatically when the window is closed.
+   * The window opens with its other options when there is no saved state or it can't be read.
+   *
+   * See {@link saveWindowState} and {@link restoreWindowState}.
+   */
+  restoreState?: boolean;
+}
+
+function mapMonitor(m: Monitor | null): Monitor | null {
+  return m === null
+    ? null
+    : {
+        id: m.id,
+        name: m.name,
+        scaleFactor: m.scaleFactor,
+        position: mapPhysicalPosition(m.position),
+        size: mapPhysicalSize(m.size),
+        workArea: {
+          position: mapPhysicalPosition(m.workArea.position),
+          size: mapPhysicalSize(m.workArea.size),
+        },
+        refreshRate: m.refreshRate,
+        isPrimary: m.isPrimary,
+      };
+}
+
+function mapWindowDef(w: WindowDef): Window {
+  // @ts-expect-error `skip` is not defined in the public API but it is handled by the constructor
+  return new Window(w.label, { skip: true });
+}
+
+function mapPhysicalPosition(m: PhysicalPosition): PhysicalPosition {
+  return new PhysicalPosition(m.x, m.y);
+}
+
+function mapPhysicalSize(m: PhysicalSize): PhysicalSize {
+  return new PhysicalSize(m.width, m.height);
+}
+
+function mapWindowState(s: Partial<WindowState>): Partial<WindowState> {
+  const state = { ...s };
+  if (state.innerPosition) {
+    state.innerPosition = mapPhysicalPosition(state.innerPosition);
+  }
+  if (state.outerPosition) {
+    state.outerPosition = mapPhysicalPosition(state.outerPosition);
+  }
+  if (state.innerSize) {
+    state.innerSize = mapPhysicalSize(state.innerSize);
+  }
+  if (state.outerSize) {
+    state.outerSize = mapPhysicalSize(state.outerSize);
+  }
+  return state;
+}
+
+/**
+ * Returns the monitor on which the window currently resides.
+ * Returns `null` if current monitor can't be detected.
+ * @example
+ * ```typescript
+ * import { currentMonitor } from '@tauri-apps/plugin-window';
+ * const monitor = currentMonitor();
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function currentMonitor(): Promise<Monitor | null> {
+  return invoke<Monitor | null>("plugin:window|current_monitor").then(
+    mapMonitor,
+  );
+}
+
+/**
+ * Returns the primary monitor of the system.
+ * Returns `null` if it can't identify any monitor as a primary one.
+ * @example
+ * ```typescript
+ * import { primaryMonitor } from '@tauri-apps/plugin-window';
+ * const monitor = primaryMonitor();
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function primaryMonitor(): Promise<Monitor | null> {
+  return invoke<Monitor | null>("plugin:window|primary_monitor").then(
+    mapMonitor,
+  );
+}
+
+/**
+ * Returns the list of all the monitors available on the system.
+ * @example
+ * ```typescript
+ * import { availableMonitors } from '@tauri-apps/plugin-window';
+ * const monitors = availableMonitors();
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function availableMonitors(): Promise<Monitor[]> {
+  return invoke<Monitor[]>("plugin:window|available_monitors").then(
+    (ms) => ms.map(mapMonitor) as Monitor[],
+  );
+}
+
+/**
+ * Listen to changes of the available monitors,
+ * emitted when a display is connected, disconnected or rearranged, or when its settings change.
+ * The payload is the new list of monitors.
+ *
+ * @example
+ * ```typescript
+ * import { onMonitorsChanged } from '@tauri-apps/plugin-window';
+ * const unlisten = await onMonitorsChanged(({ payload: monitors }) => {
+ *  console.log(`${monitors.length} monitors available`);
+ * });
+ *
+ * // you need to call unlisten if your handler goes out of scope e.g. the component is unmounted
+ * unlisten();
+ * ```
+ *
+ * @returns A promise resolving to a function to unlisten to the event.
+ * Note that removing the listener is required if your listener goes out of scope e.g. the component is unmounted.
+ *
+ * @since 2.0.0
+ */
+async function onMonitorsChanged(
+  handler: EventCallback<Monitor[]>,
+): Promise<UnlistenFn> {
+  const unlisten = await listen<Monitor[]>(
+    PluginEvent.MONITORS_CHANGED,
+    (event) => {
+      handler({
+        ...event,
+        payload: event.payload.map(mapMonitor) as Monitor[],
+      });
+    },
+  );
+  // the monitors are only watched while someone listens to the changes
+  await invoke("plugin:window|watch_monitors").catch((e) => {
+    unlisten();
+    throw e;
+  });
+  let watching = true;
+  return () => {
+    unlisten();
+    if (watching) {
+      watching = false;
+      void invoke("plugin:window|unwatch_monitors").catch(() => null);
+    }
+  };
+}
+
+/** @ignore */
+// logical coordinates are converted with the scale factor of the monitor they are tested against
+function toMonitorPhysical(
+  position: LogicalPosition | PhysicalPosition,
+  monitor: Monitor,
+): { x: number; y: number } {
+  const factor = position.type === "Logical" ? monitor.scaleFactor : 1;
+  return { x: position.x * factor, y: position.y * factor };
+}
+
+/** @ignore */
+function monitorBounds(monitor: Monitor): RectBounds {
+  return rectFrom(monitor.position, monitor.size);
+}
+
+/**
+ * Returns the monitor that contains the given point.
+ * Returns `null` if the point is outside of all monitors.
+ *
+ * A logical position is converted to physical pixels with the scale factor of each monitor it is tested against.
+ *
+ * @example
+ * ```typescript
+ * import { monitorFromPoint, PhysicalPosition } from '@tauri-apps/plugin-window';
+ * const monitor = await monitorFromPoint(new PhysicalPosition(1920, 400));
+ * ```
+ *
+ * @param position The point to look up.
+ *
+ * @since 2.0.0
+ */
+async function monitorFromPoint(
+  position: LogicalPosition | PhysicalPosition,
+): Promise<Monitor | null> {
+  const monitors = await availableMonitors();
+  return (
+    monitors.find((monitor) =>
+      rectContains(
+        monitorBounds(monitor),
+        toMonitorPhysical(position, monitor),
+      ),
+    ) ?? null
+  );
+}
+
+/**
+ * Returns the monitor that has the largest intersection with the given rectangle.
+ * Returns `null` if the rectangle is outside of all monitors.
+ *
+ * A logical rectangle is converted to physical pixels with the scale factor of each monitor it is tested against.
+ *
+ * @example
+ * ```typescript
+ * import { monitorFromRect, LogicalPosition, LogicalSize } from '@tauri-apps/plugin-window';
+ * const monitor = await monitorFromRect(new LogicalPosition(100, 100), new LogicalSize(800, 600));
+ * ```
+ *
+ * @param position The top-left corner of the rectangle.
+ * @param size The size of the rectangle.
+ *
+ * @since 2.0.0
+ */
+async function monitorFromRect(
+  position: LogicalPosition | PhysicalPosition,
+  size: LogicalSize | PhysicalSize,
+): Promise<Monitor | null> {
+  const monitors = await availableMonitors();
+  let best: Monitor | null = null;
+  let bestArea = 0;
+  for (const monitor of monitors) {
+    const factor = size.type === "Logical" ? monitor.scaleFactor : 1;
+    const intersection = rectIntersection(
+      monitorBounds(monitor),
+      rectFrom(toMonitorPhysical(position, monitor), {
+        width: size.width * factor,
+        height: size.height * factor,
+      }),
+    );
+    if (
+      intersection !== null &&
+      intersection.width * intersection.height > bestArea
+    ) {
+      best = monitor;
+      bestArea = intersection.width * intersection.height;
+    }
+  }
+  return best;
+}
+
+/**
+ * Returns the monitor that contains the given point, or the monitor closest to it if the point is outside of all monitors.
+ * Returns `null` only if no monitor is available.
+ *
+ * A logical position is converted to physical pixels with the scale factor of each monitor it is tested against.
+ *
+ * @example
+ * ```typescript
+ * import { nearestMonitor, getCurrent } from '@tauri-apps/plugin-window';
+ * const monitor = await nearestMonitor(await getCurrent().outerPosition());
+ * ```
+ *
+ * @param position The point to look up.
+ *
+ * @since 2.0.0
+ */
+async function nearestMonitor(
+  position: LogicalPosition | PhysicalPosition,
+): Promise<Monitor | null> {
+  const monitors = await availableMonitors();
+  let nearest: Monitor | null = null;
+  let nearestDistance = Infinity;
+  for (const monitor of monitors) {
+    const { x, y } = toMonitorPhysical(position, monitor);
+    const bounds = monitorBounds(monitor);
+    // distance to the closest edge, zero when the point is inside the monitor
+    const dx = Math.max(bounds.x - x, 0, x - (bounds.x + bounds.width - 1));
+    const dy = Math.max(bounds.y - y, 0, y - (bounds.y + bounds.height - 1));
+    const distance = dx * dx + dy * dy;
+    if (distance < nearestDistance) {
+      nearest = monitor;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Returns the position of the cursor relative to the top-left hand corner of the desktop.
+ *
+ * @example
+ * ```typescript
+ * import { cursorPosition } from '@tauri-apps/plugin-window';
+ * const position = await cursorPosition();
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function cursorPosition(): Promise<PhysicalPosition> {
+  return invoke<{ x: number; y: number }>("plugin:window|cursor_position").then(
+    ({ x, y }) => new PhysicalPosition(x, y),
+  );
+}
+
+/** @ignore */
+// the width set with `setResizeBorder` and whether the current window is maximized, once listened to
+let resizeBorder: { width: number; maximized: boolean } | null = null;
+
+/** @ignore */
+function applyResizeBorder(): void {
+  if (resizeBorder !== null) {
+    // a maximized window can't be resized from its edges
+    window.__TAURI_WINDOW_RESIZE_BORDER__ = resizeBorder.maximized
+      ? 0
+      : resizeBorder.width;
+  }
+}
+
+/**
+ * Makes the edges of the current window resize it, like the border of a decorated window.
+ * Useful for windows without decorations, which can't be resized otherwise on some platforms.
+ * The border is disabled while the window is maximized.
+ *
+ * @example
+ * ```typescript
+ * import { setResizeBorder } from '@tauri-apps/plugin-window';
+ * setResizeBorder(4);
+ * ```
+ *
+ * @param width The width of the invisible border in CSS pixels, `0` to disable it.
+ *
+ * @since 2.0.0
+ */
+function setResizeBorder(width: number): void {
+  if (resizeBorder === null) {
+    const state = { width, maximized: false };
+    resizeBorder = state;
+    const current = getCurrent();
+    let changed = false;
+    void current
+      .onMaximizedChanged(({ payload }) => {
+        changed = true;
+        state.maximized = payload;
+        applyResizeBorder();
+      })
+      .catch(() => null);
+    void current
+      .isMaximized()
+      .then((maximized) => {
+        // a change received meanwhile is more recent than the response
+        if (!changed) {
+          state.maximized = maximized;
+          applyResizeBorder();
+        }
+      })
+      .catch(() => null);
+  }
+  resizeBorder.width = width;
+  applyResizeBorder();
+}
+
+/**
+ * What double clicking a drag region does.
+ *
+ * @since 2.0.0
+ */
+type DoubleClickAction = "maximize" | "minimize" | "none";
+
+/**
+ * Options of the `data-tauri-drag-region` elements, see {@link setDragRegionOptions}.
+ *
+ * @since 2.0.0
+ */
+interface DragRegionOptions {
+  /**
+   * How far, in CSS pixels, the mouse must move with the button pressed before the window starts dragging,
+   * so clicks on the elements of the region still go through.
+   * `0` starts dragging as soon as the button is pressed.
+   */
+  threshold?: number;
+  /** What double clicking a drag region does. */
+  doubleClick?: DoubleClickAction;
+}
+
+/**
+ * Changes how the drag regions of the current window behave,
+ * overriding the options the plugin was built with.
+ *
+ * Any element with a `data-tauri-drag-region` attribute drags the window, and so do its children
+ * unless they or an ancestor in between opt out with `data-tauri-drag-region="false"`, e.g. the buttons and inputs of a title bar.
+ * A region can override the double click action with a `data-tauri-drag-region-double-click` attribute.
+ *
+ * @example
+ * ```typescript
+ * import { setDragRegionOptions } from '@tauri-apps/plugin-window';
+ * setDragRegionOptions({ threshold: 4, doubleClick: 'none' });
+ * ```
+ *
+ * @since 2.0.0
+ */
+function setDragRegionOptions(options: DragRegionOptions): void {
+  window.__TAURI_WINDOW_DRAG__ = {
+    ...window.__TAURI_WINDOW_DRAG__,
+    ...options,
+  };
+}
+
+/**
+ * An area of the monitor a window can be snapped to with {@link snap}.
+ *
+ * @since 2.0.0
+ */
+type SnapArea =
+  | "left-half"
+  | "right-half"
+  | "top-half"
+  | "bottom-half"
+  | "top-left"
+  | "top-right"
+  | "bottom-left"
+  | "bottom-right";
+
+/**
+ * Options for the layout functions.
+ *
+ * @since 2.0.0
+ */
+interface LayoutOptions {
+  /** The monitor to arrange the windows on. Defaults to the monitor of the (first) window. */
+  monitor?: Monitor;
+}
+
+/**
+ * Options for {@link tile}.
+ *
+ * @since 2.0.0
+ */
+interface TileOptions extends LayoutOptions {
+  /** The number of columns. Defaults to the smallest grid that fits all windows. */
+  columns?: number;
+  /** The space between the windows, in logical pixels. Defaults to `0`. */
+  gap?: number;
+}
+
+/**
+ * Options for {@link cascade}.
+ *
+ * @since 2.0.0
+ */
+interface CascadeOptions extends LayoutOptions {
+  /** The offset between each window, in logical pixels. Defaults to `32`. */
+  offset?: number;
+}
+
+/** @ignore */
+// x, y, width and height as fractions of the monitor area
+const snapAreas: Record<SnapArea, [number, number, number, number]> = {
+  "left-half": [0, 0, 0.5, 1],
+  "right-half": [0.5, 0, 0.5, 1],
+  "top-half": [0, 0, 1, 0.5],
+  "bottom-half": [0, 0.5, 1, 0.5],
+  "top-left": [0, 0, 0.5, 0.5],
+  "top-right": [0.5, 0, 0.5, 0.5],
+  "bottom-left": [0, 0.5, 0.5, 0.5],
+  "bottom-right": [0.5, 0.5, 0.5, 0.5],
+};
+
+/** @ignore */
+async function windowMonitor(appWindow: Window): Promise<Monitor> {
+  const monitor =
+    (await invoke<Monitor | null>("plugin:window|current_monitor", {
+      label: appWindow.label,
+    }).then(mapMonitor)) ?? (await primaryMonitor());
+  if (monitor === null) {
+    throw new WindowError(
+      "Unsupported",
+      "could not find a monitor",
+      appWindow.label,
+    );
+  }
+  return monitor;
+}
+
+/** @ignore */
+// the area not covered by the taskbar, dock or panels
+function monitorArea(monitor: Monitor): RectBounds {
+  return rectFrom(monitor.workArea.position, monitor.workArea.size);
+}
+
+/** @ignore */
+// moves and resizes the window so its frame covers the given rect on the monitor
+async function setOuterRect(
+  appWindow: Window,
+  monitor: Monitor,
+  rect: RectBounds,
+): Promise<void> {
+  const state = await appWindow.getState([
+    "isMaximized",
+    "isFullscreen",
+    "innerSize",
+    "outerSize",
+    "scaleFactor",
+  ]);
+  if (state.isFullscreen) {
+    await appWindow.setFullscreen(false);
+  }
+  if (state.isMaximized) {
+    await appWindow.unmaximize();
+  }
+
+  // the frame is measured on the window's current monitor, which might have a different scale factor
+  const ratio = monitor.scaleFactor / state.scaleFactor;
+  const frameWidth = (state.outerSize.width - state.innerSize.width) * ratio;
+  const frameHeight = (state.outerSize.height - state.innerSize.height) * ratio;
+
+  // move first so the size is applied with the target monitor's scale factor
+  await appWindow.setPosition(
+    new PhysicalPosition(Math.round(rect.x), Math.round(rect.y)),
+  );
+  await appWindow.setSize(
+    new PhysicalSize(
+      Math.max(1, Math.round(rect.width - frameWidth)),
+      Math.max(1, Math.round(rect.height - frameHeight)),
+    ),
+  );
+}
+
+/**
+ * Arranges the windows in a grid filling the monitor.
+ * @example
+ * ```typescript
+ * import { getAll, tile } from '@tauri-apps/plugin-window';
+ * await tile(getAll(), { columns: 3, gap: 8 });
+ * ```
+ *
+ * @param windows The windows to arrange, from left to right and top to bottom.
+ *
+ * @since 2.0.0
+ */
+async function tile(
+  windows: Window[],
+  options: TileOptions = {},
+): Promise<void> {
+  if (windows.length === 0) {
+    return;
+  }
+  const monitor = options.monitor ?? (await windowMonitor(windows[0]));
+  const area = monitorArea(monitor);
+  const columns = Math.max(
+    1,
+    Math.min(
+      options.columns ?? Math.ceil(Math.sqrt(windows.length)),
+      windows.length,
+    ),
+  );
+  const rows = Math.ceil(windows.length / columns);
+  // the gaps can't take up more than the whole area
+  const gap = Math.max(
+    0,
+    Math.min(
+      (options.gap ?? 0) * monitor.scaleFactor,
+      (area.width - columns) / Math.max(columns - 1, 1),
+      (area.height - rows) / Math.max(rows - 1, 1),
+    ),
+  );
+  const width = (area.width - gap * (columns - 1)) / columns;
+  const height = (area.height - gap * (rows - 1)) / rows;
+
+  for (const [i, appWindow] of windows.entries()) {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    await setOuterRect(appWindow, monitor, {
+      x: area.x + column * (width + gap),
+      y: area.y + row * (height + gap),
+      width,
+      height,
+    });
+  }
+}
+
+/** @ignore */
+// the smallest size cascade shrinks the windows to, in logical pixels
+const cascadeMinSize = 200;
+
+/**
+ * Cascades the windows from the top-left corner of the monitor, each one offset from the previous one and above it.
+ * The windows keep their size, shrunk if needed to fit the monitor, and the cascade starts again from the corner
+ * when a window would get smaller than 200 logical pixels.
+ * @example
+ * ```typescript
+ * import { getAll, cascade } from '@tauri-apps/plugin-window';
+ * await cascade(getAll());
+ * ```
+ *
+ * @param windows The windows to arrange, from back to front.
+ *
+ * @since 2.0.0
+ */
+async function cascade(
+  windows: Window[],
+  options: CascadeOptions = {},
+): Promise<void> {
+  if (windows.length === 0) {
+    return;
+  }
+  const monitor = options.monitor ?? (await windowMonitor(windows[0]));
+  const area = monitorArea(monitor);
+  const offset = Math.max((options.offset ?? 32) * monitor.scaleFactor, 1);
+  // start again from the top-left corner before the windows get smaller than the minimum size
+  const minSize = Math.min(
+    cascadeMinSize * monitor.scaleFactor,
+    area.width,
+    area.height,
+  );
+  const steps =
+    Math.floor((Math.min(area.width, area.height) - minSize) / offset) + 1;
+
+  for (const [i, appWindow] of windows.entries()) {
+    const { outerSize, scaleFactor } = await appWindow.getState([
+      "outerSize",
+      "scaleFactor",
+    ]);
+    const ratio = monitor.scaleFactor / scaleFactor;
+    const x = area.x + (i % steps) * offset;
+    const y = area.y + (i % steps) * offset;
+    await setOuterRect(appWindow, monitor, {
+      x,
+      y,
+      width: Math.min(outerSize.width * ratio, area.x + area.width - x),
+      height: Math.min(outerSize.height * ratio, area.y + area.height - y),
+    });
+    await appWindow.setFocus();
+  }
+}
+
+/**
+ * Snaps the window to a half or a quadrant of the monitor.
+ * @example
+ * ```typescript
+ * import { getCurrent, snap } from '@tauri-apps/plugin-window';
+ * await snap(getCurrent(), 'left-half');
+ * ```
+ *
+ * @param area The monitor area to cover.
+ *
+ * @since 2.0.0
+ */
+async function snap(
+  appWindow: Window,
+  area: SnapArea,
+  options: LayoutOptions = {},
+): Promise<void> {
+  const monitor = options.monitor ?? (await windowMonitor(appWindow));
+  const bounds = monitorArea(monitor);
+  // eslint-disable-next-line security/detect-object-injection
+  const [x, y, width, height] = snapAreas[area];
+  await setOuterRect(appWindow, monitor, {
+    x: bounds.x + bounds.width * x,
+    y: bounds.y + bounds.height * y,
+    width: bounds.width * width,
+    height: bounds.height * height,
+  });
+}
+
+/**
+ * Moves the window, and shrinks it if needed, so it is entirely visible on the monitor.
+ * @example
+ * ```typescript
+ * import { getCurrent, fitToMonitor } from '@tauri-apps/plugin-window';
+ * await fitToMonitor(getCurrent());
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function fitToMonitor(
+  appWindow: Window,
+  options: LayoutOptions = {},
+): Promise<void> {
+  const monitor = options.monitor ?? (await windowMonitor(appWindow));
+  const area = monitorArea(monitor);
+  const { outerPosition, outerSize, scaleFactor } = await appWindow.getState([
+    "outerPosition",
+    "outerSize",
+    "scaleFactor",
+  ]);
+  const ratio = monitor.scaleFactor / scaleFactor;
+  await setOuterRect(
+    appWindow,
+    monitor,
+    rectClampInto(
+      {
+        x: outerPosition.x,
+        y: outerPosition.y,
+        width: outerSize.width * ratio,
+        height: outerSize.height * ratio,
+      },
+      area,
+    ),
+  );
 }
 
 /**
- * Window effect state **macOS only**
- *
- * @see https://developer.apple.com/documentation/appkit/nsvisualeffectview/state
+ * The options a window of a layout preset was created with, in the format of the window config of `tauri.conf.json`:
+ * every option is present, `null` when it was not set.
  *
- * @since 2.0
+ * @since 2.0.0
  */
-enum EffectState {
-  /**
-   *  Make window effect state follow the window's active state **macOS only**
-   */
-  FollowsWindowActiveState = "followsWindowActiveState",
-  /**
-   *  Make window effect state always active **macOS only**
-   */
-  Active = "active",
-  /**
-   *  Make window effect state always inactive **macOS only**
-   */
-  Inactive = "inactive",
+type LayoutWindowOptions = {
+  [
+    K in keyof Omit<
+      WindowOptions,
+      "parent" | "owner" | "restoreState" | "titleBarStyle"
+    >
+  ]-?: WindowOptions[K] | null;
+} & {
+  /** The window label. */
+  label: WindowLabel;
+  /** The style of the macOS title bar, capitalized in the config format. */
+  titleBarStyle: "Visible" | "Transparent" | "Overlay";
+};
+
+/** @ignore */
+function layoutWindowOptions(options: LayoutWindowOptions): WindowOptions {
+  const { label: _, ...config } = options;
+  return Object.fromEntries(
+    Object.entries(config).filter(([, value]) => value !== null),
+  ) as WindowOptions;
 }
 
-/** The window effects configuration object
+/**
+ * A window of a {@link LayoutPreset}.
  *
- * @since 2.0
+ * @since 2.0.0
  */
-interface Effects {
-  /**
-   *  List of Window effects to apply to the Window.
-   * Conflicting effects will apply the first one and ignore the rest.
-   */
-  effects: Effect[];
-  /**
-   * Window effect state **macOS Only**
-   */
-  state?: EffectState;
-  /**
-   * Window effect corner radius **macOS Only**
-   */
-  radius?: number;
-  /**
-   *  Window effect color. Affects {@link Effects.Blur} and {@link Effects.Acrylic} only
-   * on Windows 10 v1903+. Doesn't have any effect on Windows 7 or Windows 11.
-   */
-  color?: Color;
+interface LayoutWindow {
+  /** The window label. */
+  label: WindowLabel;
+  /** The URL the window was displaying. */
+  url: string;
+  /** The options the window was created with, used to re-create it. `null` if they are not known. */
+  options: LayoutWindowOptions | null;
+  /** The physical x position of the window. */
+  x: number;
+  /** The physical y position of the window. */
+  y: number;
+  /** The physical width of the window's client area. */
+  width: number;
+  /** The physical height of the window's client area. */
+  height: number;
+  /** The name of the monitor the window was on. */
+  monitor: string | null;
+  /** The scale factor of the window. */
+  scaleFactor: number;
+  /** Whether the window was maximized or not. */
+  maximized: boolean;
+  /** Whether the window was in fullscreen mode or not. */
+  fullscreen: boolean;
+  /** Whether the window was visible or not. */
+  visible: boolean;
+  /** Whether the window was focused or not. */
+  focused: boolean;
 }
 
 /**
- * Configuration for the window to create.
+ * An arrangement of windows saved with {@link saveLayout}.
  *
  * @since 2.0.0
  */
-interface WindowOptions {
-  /**
-   * Remote URL or local file path to open.
-   *
-   * - URL such as `https://github.com/tauri-apps` is opened directly on a Tauri window.
-   * - data: URL such as `data:text/html,<html>...` is only supported with the `window-data-url` Cargo feature for the `tauri` dependency.
-   * - local file path or route such as `/path/to/page.html` or `/users` is appended to the application URL (the devServer URL on development, or `tauri://localhost/` and `https://tauri.localhost/` on production).
-   */
-  url?: string;
-  /** Show window in the center of the screen.. */
-  center?: boolean;
-  /** The initial vertical position. Only applies if `y` is also set. */
-  x?: number;
-  /** The initial horizontal position. Only applies if `x` is also set. */
-  y?: number;
-  /** The initial width. */
-  width?: number;
-  /** The initial height. */
-  height?: number;
-  /** The minimum width. Only applies if `minHeight` is also set. */
-  minWidth?: number;
-  /** The minimum height. Only applies if `minWidth` is also set. */
-  minHeight?: number;
-  /** The maximum width. Only applies if `maxHeight` is also set. */
-  maxWidth?: number;
-  /** The maximum height. Only applies if `maxWidth` is also set. */
-  maxHeight?: number;
-  /** Whether the window is resizable or not. */
-  resizable?: boolean;
-  /** Window title. */
-  title?: string;
-  /** Whether the window is in fullscreen mode or not. */
-  fullscreen?: boolean;
-  /** Whether the window will be initially focused or not. */
-  focus?: boolean;
-  /**
-   * Whether the window is transparent or not.
-   * Note that on `macOS` this requires the `macos-private-api` feature flag, enabled under `tauri.conf.json > tauri > macOSPrivateApi`.
-   * WARNING: Using private APIs on `macOS` prevents your application from being accepted to the `App Store`.
-   */
-  transparent?: boolean;
-  /** Whether the window should be maximized upon creation or not. */
-  maximized?: boolean;
-  /** Whether the window should be immediately visible upon creation or not. */
-  visible?: boolean;
-  /** Whether the window should have borders and bars or not. */
-  decorations?: boolean;
-  /** Whether the window should always be on top of other windows or not. */
-  alwaysOnTop?: boolean;
-  /** Prevents the window contents from being captured by other apps. */
-  contentProtected?: boolean;
-  /** Whether or not the window icon should be added to the taskbar. */
-  skipTaskbar?: boolean;
-  /**
-   *  Whether or not the window has shadow.
-   *
-   * #### Platform-specific
-   *
-   * - **Windows:**
-   *   - `false` has no effect on decorated window, shadows are always ON.
-   *   - `true` will make ndecorated window have a 1px white border,
-   * and on Windows 11, it will have a rounded corners.
-   * - **Linux:** Unsupported.
-   *
-   * @since 2.0.0
-   */
-  shadow?: boolean;
-  /**
-   * Whether the file drop is enabled or not on the webview. By default it is enabled.
-   *
-   * Disabling it is required to use drag and drop on the frontend on Windows.
-   */
-  fileDropEnabled?: boolean;
-  /**
-   * The initial window theme. Defaults to the system theme.
-   *
-   * Only implemented on Windows and macOS 10.14+.
-   */
-  theme?: Theme;
-  /**
-   * The style of the macOS title bar.
-   */
-  titleBarStyle?: TitleBarStyle;
-  /**
-   * If `true`, sets the window title to be hidden on macOS.
-   */
-  hiddenTitle?: boolean;
-  /**
-   * Whether clicking an inactive window also clicks through to the webview on macOS.
-   */
-  acceptFirstMouse?: boolean;
-  /**
-   * Defines the window [tabbing identifier](https://developer.apple.com/documentation/appkit/nswindow/1644704-tabbingidentifier) on macOS.
-   *
-   * Windows with the same tabbing identifier will be grouped together.
-   * If the tabbing identifier is not set, automatic tabbing will be disabled.
-   */
-  tabbingIdentifier?: string;
-  /**
-   * The user agent for the webview.
-   */
-  userAgent?: string;
-  /**
-   * Whether or not the webview should be launched in incognito mode.
-   *
-   * #### Platform-specific
-   *
-   * - **Android:** Unsupported.
-   */
-  incognito?: boolean;
-  /**
-   * Whether the window's native maximize button is enabled or not. Defaults to `true`.
-   */
-  maximizable?: boolean;
-  /**
-   * Whether the window's native minimize button is enabled or not. Defaults to `true`.
-   */
-  minimizable?: boolean;
-  /**
-   * Whether the window's native close button is enabled or not. Defaults to `true`.
-   */
-  closable?: boolean;
+interface LayoutPreset {
+  /** The format version, used to reject incompatible imported presets. */
+  version: number;
+  /** The windows, from back to front. */
+  windows: LayoutWindow[];
 }
 
-function mapMonitor(m: Monitor | null): Monitor | null {
-  return m === null
-    ? null
-    : {
-        name: m.name,
-        scaleFactor: m.scaleFactor,
-        position: mapPhysicalPosition(m.position),
-        size: mapPhysicalSize(m.size),
-      };
+/**
+ * Captures the arrangement of every open window the current window is allowed to target and saves it as a named preset
+ * in a file in the app data directory, so it can be re-applied with {@link applyLayout}.
+ * @example
+ * ```typescript
+ * import { saveLayout } from '@tauri-apps/plugin-window';
+ * await saveLayout('trading');
+ * ```
+ *
+ * @param name The preset name. An existing preset with this name is replaced.
+ * @returns The saved preset.
+ *
+ * @since 2.0.0
+ */
+async function saveLayout(name: string): Promise<LayoutPreset> {
+  const layout = await invoke<LayoutPreset>("plugin:window|capture_layout");
+  await invoke("plugin:window|save_layout", { name, layout });
+  return layout;
 }
 
-function mapPhysicalPosition(m: PhysicalPosition): PhysicalPosition {
-  return new PhysicalPosition(m.x, m.y);
+/**
+ * Re-applies a layout preset: missing windows are re-created with their options
+ * and every window is moved back to its saved position, size, maximized and fullscreen state.
+ * Windows saved on a monitor that is no longer available are fitted to their current monitor.
+ * @example
+ * ```typescript
+ * import { applyLayout } from '@tauri-apps/plugin-window';
+ * await applyLayout('trading');
+ * ```
+ *
+ * @param layout The preset name, or the preset itself.
+ *
+ * @since 2.0.0
+ */
+async function applyLayout(layout: string | LayoutPreset): Promise<void> {
+  const preset =
+    typeof layout === "string"
+      ? await invoke<LayoutPreset | null>("plugin:window|layout", {
+          name: layout,
+        })
+      : layout;
+  if (preset === null) {
+    throw new WindowError(
+      "InvalidLayout",
+      `layout \`${layout as string}\` not found`,
+      null,
+    );
+  }
+
+  const monitors = (await availableMonitors()).map((m) => m.name);
+  for (const entry of preset.windows) {
+    const appWindow =
+      (await Window.getByLabelAsync(entry.label)) ??
+      (await Window.create(entry.label, {
+        ...(entry.options
+          ? layoutWindowOptions(entry.options)
+          : { url: entry.url }),
+        visible: false,
+      }));
+
+    if (entry.width > 0 && entry.height > 0) {
+      if (await appWindow.isMaximized()) {
+        await appWindow.unmaximize();
+      }
+      await appWindow.setPosition(new PhysicalPosition(entry.x, entry.y));
+      await appWindow.setSize(new PhysicalSize(entry.width, entry.height));
+      if (!monitors.includes(entry.monitor)) {
+        await fitToMonitor(appWindow);
+      }
+    }
+    await appWindow.setFullscreen(entry.fullscreen);
+    if (entry.maximized) {
+      await appWindow.maximize();
+    }
+    if (entry.visible) {
+      await appWindow.show();
+      // the windows are ordered from back to front
+      await appWindow.setFocus();
+    } else {
+      await appWindow.hide();
+    }
+  }
 }
 
-function mapPhysicalSize(m: PhysicalSize): PhysicalSize {
-  return new PhysicalSize(m.width, m.height);
+/**
+ * Exports a layout preset as JSON, to be shared and imported with {@link importLayout}.
+ * @example
+ * ```typescript
+ * import { exportLayout } from '@tauri-apps/plugin-window';
+ * const json = await exportLayout('trading');
+ * ```
+ *
+ * @returns The preset as JSON or `null` if there is no preset with this name.
+ *
+ * @since 2.0.0
+ */
+async function exportLayout(name: string): Promise<string | null> {
+  return invoke<LayoutPreset | null>("plugin:window|layout", { name }).then(
+    (layout) => (layout === null ? null : JSON.stringify(layout)),
+  );
 }
 
 /**
- * Returns the monitor on which the window currently resides.
- * Returns `null` if current monitor can't be detected.
+ * Imports a layout preset exported with {@link exportLayout}.
+ * Rejects with an `InvalidLayout` error if the preset was exported by an incompatible version.
  * @example
  * ```typescript
- * import { currentMonitor } from '@tauri-apps/plugin-window';
- * const monitor = currentMonitor();
+ * import { importLayout } from '@tauri-apps/plugin-window';
+ * await importLayout('trading', json);
  * ```
  *
+ * @param name The preset name. An existing preset with this name is replaced.
+ * @returns The imported preset.
+ *
  * @since 2.0.0
  */
-async function currentMonitor(): Promise<Monitor | null> {
-  return window
-    .__TAURI_INVOKE__<Monitor | null>("plugin:window|current_monitor")
-    .then(mapMonitor);
+async function importLayout(name: string, json: string): Promise<LayoutPreset> {
+  let layout: LayoutPreset;
+  try {
+    layout = JSON.parse(json) as LayoutPreset;
+  } catch (e) {
+    throw new WindowError("InvalidLayout", String(e), null);
+  }
+  await invoke("plugin:window|save_layout", { name, layout });
+  return layout;
 }
 
 /**
- * Returns the primary monitor of the system.
- * Returns `null` if it can't identify any monitor as a primary one.
+ * Gets the names of the saved layout presets.
+ *
+ * @since 2.0.0
+ */
+async function layoutNames(): Promise<string[]> {
+  return invoke("plugin:window|layout_names");
+}
+
+/**
+ * Deletes a layout preset.
+ *
+ * @returns Whether a preset with this name existed.
+ *
+ * @since 2.0.0
+ */
+async function deleteLayout(name: string): Promise<boolean> {
+  return invoke("plugin:window|delete_layout", { name });
+}
+
+/**
+ * Saves the size, position, maximized and fullscreen state of the window with the given label
+ * to a file in the app data directory, so it can be restored later with {@link restoreWindowState}.
  * @example
  * ```typescript
- * import { primaryMonitor } from '@tauri-apps/plugin-window';
- * const monitor = primaryMonitor();
+ * import { getCurrent, saveWindowState } from '@tauri-apps/plugin-window';
+ * await getCurrent().onCloseRequested(() => saveWindowState('main'));
  * ```
  *
+ * @param label The label of the window to save.
+ *
  * @since 2.0.0
  */
-async function primaryMonitor(): Promise<Monitor | null> {
-  return window
-    .__TAURI_INVOKE__<Monitor | null>("plugin:window|primary_monitor")
-    .then(mapMonitor);
+async function saveWindowState(label: WindowLabel): Promise<void> {
+  return invoke("plugin:window|save_window_state", {
+    label,
+  });
 }
 
 /**
- * Returns the list of all the monitors available on the system.
+ * Restores the state previously saved with {@link saveWindowState} for the window with the given label.
+ * The saved rect is clamped to the work area of the currently available monitors,
+ * so a window saved on a display that is no longer connected does not open off-screen.
  * @example
  * ```typescript
- * import { availableMonitors } from '@tauri-apps/plugin-window';
- * const monitors = availableMonitors();
+ * import { restoreWindowState } from '@tauri-apps/plugin-window';
+ * const restored = await restoreWindowState('main');
  * ```
  *
+ * @param label The label of the window to restore.
+ * @returns Whether a saved state was found for the window. An unreadable or corrupt state file counts as no saved state.
+ *
  * @since 2.0.0
  */
-async function availableMonitors(): Promise<Monitor[]> {
-  return window
-    .__TAURI_INVOKE__<Monitor[]>("plugin:window|available_monitors")
-    .then((ms) => ms.map(mapMonitor) as Monitor[]);
+async function restoreWindowState(label: WindowLabel): Promise<boolean> {
+  return invoke("plugin:window|restore_window_state", {
+    label,
+  });
 }
 
 export {
   Window,
+  WindowError,
   CloseRequestedEvent,
   getCurrent,
   getAll,
+  getAllAsync,
+  onWindowCreated,
+  onWindowDestroyed,
+  emitTo,
+  emitToAll,
   LogicalSize,
   PhysicalSize,
   LogicalPosition,
   PhysicalPosition,
+  LogicalRect,
+  PhysicalRect,
   UserAttentionType,
   Effect,
   EffectState,
   currentMonitor,
   primaryMonitor,
   availableMonitors,
+  onMonitorsChanged,
+  monitorFromPoint,
+  monitorFromRect,
+  nearestMonitor,
+  cursorPosition,
+  setResizeBorder,
+  setDragRegionOptions,
+  saveWindowState,
+  restoreWindowState,
+  tile,
+  cascade,
+  snap,
+  fitToMonitor,
+  saveLayout,
+  applyLayout,
+  exportLayout,
+  importLayout,
+  layoutNames,
+  deleteLayout,
+  WindowStateStore,
+  createWindowStateStore,
+  SharedState,
+  createSharedState,
+  TitleBar,
+  createTitleBar,
+  WindowChannel,
+  ChannelError,
 };
 
 export type {
+  WindowErrorCode,
+  SnapArea,
+  LayoutOptions,
+  TileOptions,
+  CascadeOptions,
+  LayoutWindow,
+  LayoutWindowOptions,
+  LayoutPreset,
   Theme,
   TitleBarStyle,
   Monitor,
   ScaleFactorChanged,
   FileDropEvent,
   WindowOptions,
+  WindowState,
+  WatchedWindowState,
+  WindowStateHandler,
+  SharedStateOptions,
+  TitleBarButton,
+  TitleBarOptions,
+  ResizeDirection,
+  DoubleClickAction,
+  DragRegionOptions,
+  ChannelMessages,
+  WindowChannelOptions,
+  EmitToAllOptions,
+  ChannelErrorCode,
   Color,
 };
@@ -2,19 +2,114 @@
 // SPDX-License-Identifier: Apache-2.0
 // SPDX-License-Identifier: MIT
 
-use serde::{Deserialize, Serialize, Serializer};
+use std::{
+    collections::HashMap,
+    future::Future,
+    path::PathBuf,
+    pin::Pin,
+    sync::{
+        atomic::{AtomicU32, Ordering},
+        Mutex,
+    },
+    time::{Duration, Instant},
+};
+
+use serde::{de::DeserializeOwned, ser::SerializeStruct, Deserialize, Serialize, Serializer};
 use tauri::{
-    utils::config::{WindowConfig, WindowEffectsConfig},
+    async_runtime::{channel, Receiver, Sender},
+    utils::config::{WindowConfig, WindowEffectsConfig, WindowUrl},
     AppHandle, CursorIcon, Icon, Manager, Monitor, PhysicalPosition, PhysicalSize, Position,
-    Runtime, Size, Theme, UserAttentionType, Window,
+    Runtime, Size, State, Theme, UserAttentionType, Window, WindowEvent,
+};
+
+use crate::{
+    desktop_events,
+    desktop_monitors::{self, MonitorInfo, WorkArea},
+    policy::WindowPolicy,
+    scope::Scopes,
+    LabelRule,
 };
 
 #[derive(Debug, thiserror::Error)]
 pub enum Error {
-    #[error("window not found")]
-    WindowNotFound,
+    #[error("window `{0}` not found")]
+    WindowNotFound(String),
+    #[error("a window with label `{0}` already exists")]
+    LabelInUse(String),
+    #[error("invalid window label `{0}`, it must only contain alphanumeric characters and `-`, `/`, `:` or `_` and follow the label rule of the app")]
+    InvalidLabel(String),
+    #[error("invalid event name `{0}`, it must only contain alphanumeric characters and `-`, `/`, `:` or `_` and not be a `window://` or `tauri://` event")]
+    InvalidEvent(String),
+    #[error("invalid window url `{0}`")]
+    InvalidUrl(String),
+    #[error("invalid layout: {0}")]
+    InvalidLayout(String),
+    #[error("{0} is not supported on this platform")]
+    Unsupported(&'static str),
+    #[error("command `{0}` is not allowed")]
+    CommandNotAllowed(String),
+    #[error("not allowed to access window `{0}`")]
+    TargetNotAllowed(String),
+    #[error("window `{0}` is not a modal window")]
+    NotModal(String),
+    #[error("window `{label}` rejected by the window policy: {reason}")]
+    PolicyViolation { label: String, reason: String },
     #[error(transparent)]
     Tauri(#[from] tauri::Error),
+    #[error(transparent)]
+    Io(#[from] std::io::Error),
+    #[error(transparent)]
+    Json(#[from] serde_json::Error),
+    #[error("{source}")]
+    Window { label: String, source: Box<Error> },
+}
+
+impl Error {
+    fn code(&self) -> &'static str {
+        match self {
+            Self::WindowNotFound(_) => "WindowNotFound",
+            Self::LabelInUse(_) => "LabelInUse",
+            Self::InvalidLabel(_) => "InvalidLabel",
+            Self::InvalidEvent(_) => "InvalidEvent",
+            Self::InvalidUrl(_) => "InvalidUrl",
+            Self::InvalidLayout(_) => "InvalidLayout",
+            Self::Unsupported(_) => "Unsupported",
+            Self::CommandNotAllowed(_) => "CommandNotAllowed",
+            Self::TargetNotAllowed(_) => "TargetNotAllowed",
+            Self::NotModal(_) => "NotModal",
+            Self::PolicyViolation { .. } => "PolicyViolation",
+            Self::Tauri(_) => "Tauri",
+            Self::Io(_) => "Io",
+            Self::Json(_) => "Json",
+            Self::Window { source, .. } => source.code(),
+        }
+    }
+
+    /// The label of the window the error refers to, if any.
+    fn label(&self) -> Option<&str> {
+        match self {
+            Self::WindowNotFound(label)
+            | Self::LabelInUse(label)
+            | Self::InvalidLabel(label)
+            | Self::TargetNotAllowed(label)
+            | Self::NotModal(label)
+            | Self::PolicyViolation { label, .. }
+            | Self::Window { label, .. } => Some(label),
+            _ => None,
+        }
+    }
+
+    /// Attaches the label of the window the error refers to.
+    fn for_window(self, label: &str) -> Self {
+        if self.label().is_some() {
+            self
+        } else {
+            Self::Window {
+                label: label.into(),
+                source: Box::new(self),
+            }
+        }
+    }
 }
 
 impl Serialize for Error {
@@ -22,7 +117,11 @@ impl Serialize for Error {
     where
         S: Serializer,
     {
-        serializer.serialize_str(self.to_string().as_ref())
+        let mut error = serializer.serialize_struct("Error", 3)?;
+        error.serialize_field("code", self.code())?;
+        error.serialize_field("message", &self.to_string())?;
+        error.serialize_field("label", &self.label())?;
+        error.end()
     }
 }
 
@@ -62,24 +161,1079 @@ impl From<IconDto> for Icon {
     }
 }
 
+/// The parent of each window created with the `parent` option.
+#[derive(Default)]
+pub struct WindowRelations(Mutex<HashMap<String, String>>);
+
+impl WindowRelations {
+    pub fn parent(&self, label: &str) -> Option<String> {
+        self.0.lock().unwrap().get(label).cloned()
+    }
+
+    pub fn children(&self, label: &str) -> Vec<String> {
+        self.0
+            .lock()
+            .unwrap()
+            .iter()
+            .filter(|(_, parent)| *parent == label)
+            .map(|(child, _)| child.clone())
+            .collect()
+    }
+
+    fn set_parent(&self, label: String, parent: String) {
+        self.0.lock().unwrap().insert(label, parent);
+    }
+
+    /// Forgets the window, returning the labels of its children.
+    pub fn remove(&self, label: &str) -> Vec<String> {
+        let mut relations = self.0.lock().unwrap();
+        relations.remove(label);
+        let children: Vec<String> = relations
+            .iter()
+            .filter(|(_, parent)| *parent == label)
+            .map(|(child, _)| child.clone())
+            .collect();
+        for child in &children {
+            relations.remove(child);
+        }
+        children
+    }
+}
+
+/// The modal windows blocking each owner window, see [`ModalWindows::insert`],
+/// and the results of the modal windows, see [`set_modal_result`].
+#[derive(Default)]
+pub struct ModalWindows {
+    owners: Mutex<HashMap<String, BlockedOwner>>,
+    results: Mutex<HashMap<String, ModalResult>>,
+}
+
+struct BlockedOwner {
+    /// The modal windows, from the first opened to the last.
+    modals: Vec<String>,
+    /// Whether the owner was closable and minimizable before it was blocked.
+    closable: bool,
+    minimizable: bool,
+}
+
+/// The result of a modal window, only handed to the window that created it once the modal window is destroyed.
+struct ModalResult {
+    creator: String,
+    value: Option<serde_json::Value>,
+    closed: bool,
+    /// The channel of the [`modal_result`] call waiting for the modal window to be destroyed.
+    sender: Option<Sender<Option<serde_json::Value>>>,
+}
+
+impl ModalWindows {
+    /// The last opened modal window of the owner.
+    pub fn modal(&self, owner: &str) -> Option<String> {
+        self.owners
+            .lock()
+            .unwrap()
+            .get(owner)
+            .and_then(|owner| owner.modals.last().cloned())
+    }
+
+    /// Blocks the input of the owner until the modal window is closed
+    /// and disables its native close and minimize buttons.
+    fn insert<R: Runtime>(
+        &self,
+        owner: &Window<R>,
+        modal: String,
+        creator: String,
+    ) -> tauri::Result<()> {
+        // read outside of the lock, the event handlers on the main thread need it
+        let closable = owner.is_closable()?;
+        let minimizable = owner.is_minimizable()?;
+        self.results.lock().unwrap().insert(
+            modal.clone(),
+            ModalResult {
+                creator,
+                value: None,
+                closed: false,
+                sender: None,
+            },
+        );
+        let first = {
+            let mut owners = self.owners.lock().unwrap();
+            let blocked = owners
+                .entry(owner.label().to_string())
+                .or_insert_with(|| BlockedOwner {
+                    modals: Vec::new(),
+                    closable,
+                    minimizable,
+                });
+            blocked.modals.push(modal);
+            blocked.modals.len() == 1
+        };
+        if first {
+            set_input_blocked(owner, true)?;
+            owner.set_closable(false)?;
+            owner.set_minimizable(false)?;
+        }
+        Ok(())
+    }
+
+    /// Forgets the modal window, unblocking its owner once it has no other modal window,
+    /// and focuses the owner, which hands the focus over to its remaining modal window if any.
+    /// The result of the modal window is sent to its creator.
+    pub fn remove<R: Runtime>(&self, app: &AppHandle<R>, modal: &str) {
+        {
+            let mut results = self.results.lock().unwrap();
+            if let Some(result) = results.get_mut(modal) {
+                result.closed = true;
+                if let Some(sender) = result.sender.take() {
+                    let _ = sender.try_send(result.value.take());
+                    results.remove(modal);
+                }
+            }
+        }
+
+        let (owner, unblocked) = {
+            let mut owners = self.owners.lock().unwrap();
+            let Some((owner, blocked)) = owners
+                .iter_mut()
+                .find(|(_, blocked)| blocked.modals.iter().any(|m| m == modal))
+            else {
+                return;
+            };
+            let owner = owner.clone();
+            blocked.modals.retain(|m| m != modal);
+            let unblocked = if blocked.modals.is_empty() {
+                owners.remove(&owner)
+            } else {
+                None
+            };
+            (owner, unblocked)
+        };
+        if let Some(owner) = app.get_window(&owner) {
+            if let Some(unblocked) = unblocked {
+                let _ = set_input_blocked(&owner, false);
+                let _ = owner.set_closable(unblocked.closable);
+                let _ = owner.set_minimizable(unblocked.minimizable);
+            }
+            let _ = owner.set_focus();
+        }
+    }
+
+    /// Blocks the input of an owner again after its page was reloaded.
+    pub fn reapply<R: Runtime>(&self, window: &Window<R>) {
+        if self.modal(window.label()).is_some() {
+            let _ = set_input_blocked(window, true);
+        }
+    }
+
+    /// Drops the results of the closed modal windows the webview created, when it is reloaded or destroyed.
+    pub fn forget_creator(&self, label: &str) {
+        self.results
+            .lock()
+            .unwrap()
+            .retain(|_, result| !(result.closed && result.creator == label));
+    }
+}
+
+/// Sets the result of the calling modal window, handed to the window that created it once the modal window is destroyed.
+#[tauri::command]
+pub async fn set_modal_result<R: Runtime>(
+    window: Window<R>,
+    modals: State<'_, ModalWindows>,
+    value: serde_json::Value,
+) -> Result<()> {
+    match modals.results.lock().unwrap().get_mut(window.label()) {
+        Some(result) => {
+            result.value.replace(value);
+            Ok(())
+        }
+        None => Err(Error::NotModal(window.label().into())),
+    }
+}
+
+/// Waits for the modal window created by the caller to be destroyed, resolving to its result.
+#[tauri::command]
+pub async fn modal_result<R: Runtime>(
+    window: Window<R>,
+    modals: State<'_, ModalWindows>,
+    label: String,
+) -> Result<Option<serde_json::Value>> {
+    let mut receiver = {
+        let mut results = modals.results.lock().unwrap();
+        let Some(result) = results
+            .get_mut(&label)
+            .filter(|result| result.creator == window.label())
+        else {
+            return Err(Error::NotModal(label));
+        };
+        if result.closed {
+            return Ok(results.remove(&label).and_then(|result| result.value));
+        }
+        let (sender, receiver) = channel(1);
+        result.sender.replace(sender);
+        receiver
+    };
+    Ok(receiver.recv().await.flatten())
+}
+
+/// The close requested handlers registered by each webview, see `onCloseRequested`,
+/// and the close requests sent to them by [`close_with_children`].
+#[derive(Default)]
+pub struct CloseRequests {
+    /// The number of handlers of each webview, keyed by the label of the window they handle.
+    listeners: Mutex<HashMap<String, HashMap<String, usize>>>,
+    pending: Mutex<HashMap<u32, PendingClose>>,
+    next_id: AtomicU32,
+}
+
+struct PendingClose {
+    label: String,
+    /// The handlers that did not answer yet.
+    remaining: usize,
+    sender: Sender<bool>,
+}
+
+impl CloseRequests {
+    /// The number of close requested handlers of the window, in all webviews.
+    pub fn listeners(&self, label: &str) -> usize {
+        self.listeners
+            .lock()
+            .unwrap()
+            .values()
+            .filter_map(|labels| labels.get(label))
+            .sum()
+    }
+
+    fn set_listening(&self, webview: &str, label: &str, listening: bool) {
+        let mut listeners = self.listeners.lock().unwrap();
+        let count = listeners
+            .entry(webview.to_string())
+            .or_default()
+            .entry(label.to_string())
+            .or_default();
+        if listening {
+            *count += 1;
+        } else if *count > 0 {
+            *count -= 1;
+            drop(listeners);
+            self.handlers_gone(label, 1);
+        }
+    }
+
+    /// Forgets the handlers of the webview, when its page is reloaded.
+    pub fn forget_webview(&self, label: &str) {
+        let removed = self.listeners.lock().unwrap().remove(label);
+        for (handled, count) in removed.into_iter().flatten() {
+            self.handlers_gone(&handled, count);
+        }
+    }
+
+    /// Forgets the handlers of the window and the requests to close it, when it is destroyed.
+    pub fn forget_window(&self, label: &str) {
+        self.forget_webview(label);
+        // a destroyed window is closed
+        self.pending.lock().unwrap().retain(|_, pending| {
+            if pending.label == label {
+                let _ = pending.sender.try_send(true);
+                false
+            } else {
+                true
+            }
+        });
+    }
+
+    /// Stops waiting for the answer of handlers that were removed.
+    fn handlers_gone(&self, label: &str, count: usize) {
+        self.pending.lock().unwrap().retain(|_, pending| {
+            if pending.label == label {
+                pending.remaining = pending.remaining.saturating_sub(count);
+                if pending.remaining == 0 {
+                    let _ = pending.sender.try_send(true);
+                    return false;
+                }
+            }
+            true
+        });
+    }
+
+    /// Registers a request to the handlers of the window,
+    /// returning its id, the channel the answer is sent to and the webviews to notify.
+    fn request(&self, label: &str) -> Option<(u32, Receiver<bool>, Vec<String>)> {
+        let remaining = self.listeners(label);
+        if remaining == 0 {
+            return None;
+        }
+        let webviews = self
+            .listeners
+            .lock()
+            .unwrap()
+            .iter()
+            .filter(|(_, labels)| labels.get(label).map_or(false, |count| *count > 0))
+            .map(|(webview, _)| webview.clone())
+            .collect();
+        let id = self.next_id.fetch_add(1, Ordering::Relaxed);
+        let (sender, receiver) = channel(1);
+        self.pending.lock().unwrap().insert(
+            id,
+            PendingClose {
+                label: label.to_string(),
+                remaining,
+                sender,
+            },
+        );
+        Some((id, receiver, webviews))
+    }
+
+    /// Whether the request is pending and addressed to handlers of the webview,
+    /// so events forged by other webviews are ignored.
+    fn is_pending(&self, webview: &str, id: u32) -> bool {
+        let Some(label) = self
+            .pending
+            .lock()
+            .unwrap()
+            .get(&id)
+            .map(|pending| pending.label.clone())
+        else {
+            return false;
+        };
+        self.listeners
+            .lock()
+            .unwrap()
+            .get(webview)
+            .and_then(|labels| labels.get(&label))
+            .map_or(false, |count| *count > 0)
+    }
+
+    fn respond(&self, webview: &str, id: u32, prevented: bool) {
+        if !self.is_pending(webview, id) {
+            return;
+        }
+        let mut pending = self.pending.lock().unwrap();
+        let done = match pending.get_mut(&id) {
+            Some(request) if prevented => {
+                let _ = request.sender.try_send(false);
+                true
+            }
+            Some(request) => {
+                request.remaining = request.remaining.saturating_sub(1);
+                request.remaining == 0 && request.sender.try_send(true).is_ok()
+            }
+            None => false,
+        };
+        if done {
+            pending.remove(&id);
+        }
+    }
+}
+
+#[derive(Clone, Serialize)]
+struct CloseRequestPayload<'a> {
+    id: u32,
+    label: &'a str,
+}
+
+/// Asks the children of the window to close, running their close requested handlers, then closes the window.
+/// Resolves to `false`, leaving the window open, if a child prevented its close.
+pub fn close_with_children<R: Runtime>(
+    window: Window<R>,
+) -> Pin<Box<dyn Future<Output = Result<bool>> + Send>> {
+    Box::pin(async move {
+        let children = window.state::<WindowRelations>().children(window.label());
+        for child in children {
+            let Some(child) = window.get_window(&child) else {
+                continue;
+            };
+            if !request_close(&child).await || !close_with_children(child).await? {
+                return Ok(false);
+            }
+        }
+        window.close()?;
+        Ok(true)
+    })
+}
+
+/// Runs the close requested handlers of the window, resolving to whether none of them prevented the close.
+async fn request_close<R: Runtime>(window: &Window<R>) -> bool {
+    let Some((id, mut receiver, webviews)) =
+        window.state::<CloseRequests>().request(window.label())
+    else {
+        return true;
+    };
+    for webview in webviews {
+        let _ = window.emit_to(
+            &webview,
+            desktop_events::CLOSE_REQUESTED_BY_PARENT_EVENT,
+            CloseRequestPayload {
+                id,
+                label: window.label(),
+            },
+        );
+    }
+    // the channel is closed if the window is destroyed while its handlers run
+    receiver.recv().await.unwrap_or(true)
+}
+
+/// Registers or unregisters a close requested handler of the calling webview, see `onCloseRequested`.
+#[tauri::command]
+pub async fn internal_listen_close_requested<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+    listening: bool,
+    requests: State<'_, CloseRequests>,
+) -> Result<()> {
+    let webview = window.label().to_string();
+    with_window(window, label, |w| {
+        requests.set_listening(&webview, w.label(), listening);
+        Ok::<_, Error>(())
+    })
+}
+
+/// Whether the close request is genuine, i.e. it was sent by the plugin to a handler of the calling webview.
+#[tauri::command]
+pub async fn internal_close_request<R: Runtime>(
+    window: Window<R>,
+    id: u32,
+    requests: State<'_, CloseRequests>,
+) -> Result<bool> {
+    Ok(requests.is_pending(window.label(), id))
+}
+
+/// Answers a close request with whether the handler prevented the close.
+#[tauri::command]
+pub async fn internal_close_response<R: Runtime>(
+    window: Window<R>,
+    id: u32,
+    prevented: bool,
+    requests: State<'_, CloseRequests>,
+) -> Result<()> {
+    requests.respond(window.label(), id, prevented);
+    Ok(())
+}
+
+/// How the windows created from JS are built, set on the plugin builder.
+pub struct WindowCreation {
+    /// The value of each option when JS does not set it, from the template window.
+    defaults: serde_json::Map<String, serde_json::Value>,
+    label_rule: Option<LabelRule>,
+    policy: WindowPolicy,
+}
+
+impl WindowCreation {
+    pub fn new(
+        template: Option<WindowConfig>,
+        label_rule: Option<LabelRule>,
+        policy: WindowPolicy,
+    ) -> Result<Self> {
+        let defaults = match serde_json::to_value(template.unwrap_or_default())? {
+            serde_json::Value::Object(mut defaults) => {
+                // each window has its own label
+                defaults.remove("label");
+                defaults
+            }
+            _ => Default::default(),
+        };
+        Ok(Self {
+            defaults,
+            label_rule,
+            policy,
+        })
+    }
+
+    /// Merges the options set from JS into the defaults.
+    fn options(
+        &self,
+        options: &serde_json::Map<String, serde_json::Value>,
+    ) -> Result<WindowConfig> {
+        let mut merged = self.defaults.clone();
+        merged.extend(options.clone());
+        Ok(serde_json::from_value(serde_json::Value::Object(merged))?)
+    }
+
+    fn is_valid_label(&self, label: &str) -> bool {
+        !label.is_empty()
+            && label
+                .chars()
+                .all(|c| c.is_alphanumeric() || c == '-' || c == '/' || c == ':' || c == '_')
+            && self.label_rule.as_ref().map_or(true, |rule| rule(label))
+    }
+}
+
+/// Blocks or unblocks the mouse and keyboard input of the window's webview, see `scripts/input-blocker.js`.
+fn set_input_blocked<R: Runtime>(window: &Window<R>, blocked: bool) -> tauri::Result<()> {
+    window.eval(&format!(
+        "window.__TAURI_WINDOW_INPUT_BLOCKED__ = {blocked};"
+    ))
+}
+
+/// The number of listeners each webview registered on each window, keyed by the label of the webview.
+#[derive(Default)]
+pub struct ListenerCounts(Mutex<HashMap<String, HashMap<String, usize>>>);
+
+impl ListenerCounts {
+    /// Whether some webview listens to the window.
+    pub fn listened(&self, label: &str) -> bool {
+        self.0
+            .lock()
+            .unwrap()
+            .values()
+            .any(|labels| labels.get(label).map_or(false, |count| *count > 0))
+    }
+
+    /// The webviews listening to the window.
+    fn webviews(&self, label: &str) -> Vec<String> {
+        self.0
+            .lock()
+            .unwrap()
+            .iter()
+            .filter(|(_, labels)| labels.get(label).map_or(false, |count| *count > 0))
+            .map(|(webview, _)| webview.clone())
+            .collect()
+    }
+
+    /// Adds or removes a listener of the webview, returning whether the window is still listened to.
+    fn set_listening(&self, webview: &str, label: &str, listening: bool) -> bool {
+        {
+            let mut listeners = self.0.lock().unwrap();
+            let count = listeners
+                .entry(webview.to_string())
+                .or_default()
+                .entry(label.to_string())
+                .or_default();
+            if listening {
+                *count += 1;
+            } else {
+                *count = count.saturating_sub(1);
+            }
+        }
+        self.listened(label)
+    }
+
+    /// Forgets the listeners of a webview that was reloaded or destroyed,
+    /// returning the windows nobody listens to anymore.
+    pub fn forget(&self, webview: &str) -> Vec<String> {
+        let removed = self.0.lock().unwrap().remove(webview);
+        removed
+            .into_iter()
+            .flat_map(HashMap::into_keys)
+            .filter(|label| !self.listened(label))
+            .collect()
+    }
+}
+
+/// The cursor listeners registered by each webview.
+/// A window's webview only reports its cursor events while it has listeners, see `scripts/cursor-tracker.js`,
+/// and they are only sent to the listening webviews, see [`internal_cursor_event`].
+#[derive(Default)]
+pub struct CursorTrackers(ListenerCounts);
+
+impl CursorTrackers {
+    /// Forgets the listeners of a webview that was reloaded or destroyed,
+    /// and stops tracking the windows nobody listens to anymore.
+    pub fn forget<R: Runtime>(&self, app: &AppHandle<R>, webview: &str) {
+        for label in self.0.forget(webview) {
+            if let Some(window) = app.get_window(&label) {
+                let _ = set_cursor_tracked(&window, false);
+            }
+        }
+    }
+
+    /// Makes a reloaded webview emit its cursor events again if someone listens to them.
+    pub fn reapply<R: Runtime>(&self, window: &Window<R>) {
+        if self.0.listened(window.label()) {
+            let _ = set_cursor_tracked(window, true);
+        }
+    }
+}
+
+fn set_cursor_tracked<R: Runtime>(window: &Window<R>, tracked: bool) -> tauri::Result<()> {
+    window.eval(&format!(
+        "window.__TAURI_WINDOW_CURSOR_TRACKED__ = {tracked};"
+    ))
+}
+
+/// Adds a cursor listener of the calling webview to the window, see [`CursorTrackers`].
+#[tauri::command]
+pub async fn track_cursor<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+    trackers: State<'_, CursorTrackers>,
+) -> Result<()> {
+    let webview = window.label().to_string();
+    with_window(window, label, |w| {
+        trackers.0.set_listening(&webview, w.label(), true);
+        set_cursor_tracked(w, true)
+    })
+}
+
+/// Removes a cursor listener of the calling webview from the window, see [`CursorTrackers`].
+#[tauri::command]
+pub async fn untrack_cursor<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+    trackers: State<'_, CursorTrackers>,
+) -> Result<()> {
+    let webview = window.label().to_string();
+    with_window(window, label, |w| {
+        if trackers.0.set_listening(&webview, w.label(), false) {
+            Ok(())
+        } else {
+            set_cursor_tracked(w, false)
+        }
+    })
+}
+
+/// A cursor event reported by `scripts/cursor-tracker.js`.
+#[derive(Debug, Clone, Copy, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum CursorEvent {
+    Moved,
+    Entered,
+    Left,
+}
+
+/// Sends a cursor event of the calling window to the webviews listening to it, see [`CursorTrackers`].
+#[tauri::command]
+pub async fn internal_cursor_event<R: Runtime>(
+    window: Window<R>,
+    trackers: State<'_, CursorTrackers>,
+    event: CursorEvent,
+    position: Option<PhysicalPosition<i32>>,
+) -> Result<()> {
+    let event = match event {
+        CursorEvent::Moved => desktop_events::CURSOR_MOVED_EVENT,
+        CursorEvent::Entered => desktop_events::CURSOR_ENTERED_EVENT,
+        CursorEvent::Left => desktop_events::CURSOR_LEFT_EVENT,
+    };
+    // emitted from the window, so the listeners targeting it receive the event
+    for webview in trackers.0.webviews(window.label()) {
+        window.emit_to(&webview, event, position)?;
+    }
+    Ok(())
+}
+
+#[tauri::command]
+pub async fn create<R: Runtime>(
+    app: AppHandle<R>,
+    window: Window<R>,
+    creation: State<'_, WindowCreation>,
+    options: serde_json::Map<String, serde_json::Value>,
+    restore_state: Option<bool>,
+    parent: Option<String>,
+    owner: Option<String>,
+    modal: Option<bool>,
+) -> Result<()> {
+    let js_options = options;
+    let mut options = creation.options(&js_options)?;
+    if !creation.is_valid_label(&options.label) {
+        return Err(Error::InvalidLabel(options.label));
+    }
+    for target in [Some(&options.label), parent.as_ref(), owner.as_ref()]
+        .into_iter()
+        .flatten()
+    {
+        check_target(&window, target)?;
+    }
+    if app.get_window(&options.label).is_some() {
+        return Err(Error::LabelInUse(options.label));
+    }
+    let js_windows = app.state::<WindowConfigs>().0.lock().unwrap().len();
+    if let Err(reason) = creation.policy.apply(
+        &js_options,
+        &creation.defaults,
+        &mut options,
+        js_windows,
+        app.windows().len(),
+    ) {
+        return Err(Error::PolicyViolation {
+            label: options.label,
+            reason,
+        });
+    }
+    // strings that fail to parse as an URL are treated as app paths,
+    // so catch the ones that were obviously meant to be external URLs
+    if let WindowUrl::App(path) = &options.url {
+        let path = path.to_string_lossy();
+        if path.contains("://") {
+            return Err(Error::InvalidUrl(path.into_owned()));
+        }
+    }
+
+    let label = options.label.clone();
+    let creator = window.label().to_string();
+    let config = options.clone();
+    let restore_state = restore_state.unwrap_or_default();
+    let visible = options.visible;
+    // keep the window hidden until it is moved to its saved position
+    if restore_state {
+        options.visible = false;
+    }
+
+    // the parent also owns the window natively, `owner` only sets the native ownership
+    let owner = match parent.as_ref().or(owner.as_ref()) {
+        Some(owner) => Some(
+            app.get_window(owner)
+                .ok_or_else(|| Error::WindowNotFound(owner.clone()))?,
+        ),
+        None => None,
+    };
+
+    #[allow(unused_mut)]
+    let mut builder = tauri::window::WindowBuilder::from_config(&app, options);
+    #[cfg(windows)]
+    if let Some(owner) = &owner {
+        builder = builder.owner_window(owner.hwnd()?);
+    }
+    #[cfg(target_os = "macos")]
+    if let Some(owner) = &owner {
+        builder = builder.parent_window(owner.ns_window()?);
+    }
+
+    let window = builder
+        .build()
+        .map_err(|e| Error::from(e).for_window(&label))?;
+
+    app.state::<WindowConfigs>()
+        .0
+        .lock()
+        .unwrap()
+        .insert(label.clone(), config);
+
+    if let Some(parent) = parent {
+        app.state::<WindowRelations>()
+            .set_parent(label.clone(), parent);
+    }
+
+    let set_up = || -> Result<()> {
+        #[cfg(any(
+            target_os = "linux",
+            target_os = "dragonfly",
+            target_os = "freebsd",
+            target_os = "netbsd",
+            target_os = "openbsd"
+        ))]
+        if let Some(owner) = &owner {
+            set_transient_for(&window, owner).map_err(|e| e.for_window(&label))?;
+        }
+        if modal.unwrap_or_default() {
+            if let Some(owner) = &owner {
+                app.state::<ModalWindows>()
+                    .insert(owner, label.clone(), creator)
+                    .map_err(|e| Error::from(e).for_window(owner.label()))?;
+            }
+        }
+        if restore_state {
+            restore_saved_state(&window).map_err(|e| e.for_window(&label))?;
+            if visible {
+                window
+                    .show()
+                    .map_err(|e| Error::from(e).for_window(&label))?;
+            }
+        }
+        Ok(())
+    };
+    // otherwise the window would stay hidden or keep its owner blocked
+    if let Err(error) = set_up() {
+        let _ = window.close();
+        return Err(error);
+    }
+
+    if restore_state {
+        window.on_window_event(move |event| {
+            if let WindowEvent::CloseRequested { .. } = event {
+                if let Some(window) = app.get_window(&label) {
+                    let _ = save_current_state(&window);
+                }
+            }
+        });
+    }
+
+    Ok(())
+}
+
+/// Keeps the window above its owner and minimizes it with the owner,
+/// like the native ownership set when building the window on Windows and macOS.
+#[cfg(any(
+    target_os = "linux",
+    target_os = "dragonfly",
+    target_os = "freebsd",
+    target_os = "netbsd",
+    target_os = "openbsd"
+))]
+fn set_transient_for<R: Runtime>(window: &Window<R>, owner: &Window<R>) -> Result<()> {
+    use gtk::prelude::*;
+
+    let (window_, owner) = (window.clone(), owner.clone());
+    // GTK can only be used on the main thread
+    window.run_on_main_thread(move || {
+        if let (Ok(window), Ok(owner)) = (window_.gtk_window(), owner.gtk_window()) {
+            window.set_transient_for(Some(&owner));
+        }
+    })?;
+    Ok(())
+}
+
+/// Lists the windows the caller can target.
+#[tauri::command]
+pub async fn list_windows<R: Runtime>(
+    app: AppHandle<R>,
+    window: Window<R>,
+    scopes: State<'_, Scopes>,
+) -> Result<Vec<String>> {
+    Ok(app
+        .windows()
+        .into_keys()
+        .filter(|label| scopes.allows_target(window.label(), label))
+        .collect())
+}
+
+/// The wildcard listeners registered by each webview, see `Window.listen`.
+#[derive(Default)]
+pub struct WildcardListeners(pub ListenerCounts);
+
+/// Adds or removes a wildcard listener of the calling webview on the window, see [`WildcardListeners`].
+#[tauri::command]
+pub async fn internal_listen_wildcard<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+    listening: bool,
+    listeners: State<'_, WildcardListeners>,
+) -> Result<()> {
+    let webview = window.label().to_string();
+    with_window(window, label, |w| {
+        listeners.0.set_listening(&webview, w.label(), listening);
+        Ok::<_, Error>(())
+    })
+}
+
+/// An event sent with [`emit_to`], delivered to the listeners of its exact name
+/// and, wrapped in [`desktop_events::BROADCAST_EVENT`], to the wildcard listeners.
+#[derive(Clone, Serialize)]
+struct BroadcastPayload<'a> {
+    event: &'a str,
+    payload: &'a serde_json::Value,
+}
+
+/// Whether JS can emit the event with [`emit_to`].
+///
+/// The events of the plugin and of tauri can only be emitted by the backend,
+/// otherwise a window could e.g. fake the close handshake of another one.
+fn is_emittable_event(event: &str) -> bool {
+    !event.is_empty()
+        && !event.starts_with("window://")
+        && !event.starts_with("tauri://")
+        && event
+            .chars()
+            .all(|c| c.is_alphanumeric() || c == '-' || c == '/' || c == ':' || c == '_')
+}
+
+/// Emits an event to the given windows, or to all the windows the caller can target.
+#[tauri::command]
+pub async fn emit_to<R: Runtime>(
+    app: AppHandle<R>,
+    window: Window<R>,
+    event: String,
+    payload: serde_json::Value,
+    labels: Option<Vec<String>>,
+    exclude: Option<Vec<String>>,
+) -> Result<()> {
+    if !is_emittable_event(&event) {
+        return Err(Error::InvalidEvent(event));
+    }
+
+    let scopes = app.state::<Scopes>();
+    let labels = match labels {
+        Some(labels) => {
+            for label in &labels {
+                check_target(&window, label)?;
+                if app.get_window(label).is_none() {
+                    return Err(Error::WindowNotFound(label.clone()));
+                }
+            }
+            labels
+        }
+        None => app
+            .windows()
+            .into_keys()
+            .filter(|label| scopes.allows_target(window.label(), label))
+            .collect(),
+    };
+    let exclude = exclude.unwrap_or_default();
+
+    let broadcast = BroadcastPayload {
+        event: &event,
+        payload: &payload,
+    };
+    let wildcard = app.state::<WildcardListeners>();
+    for label in labels.iter().filter(|label| !exclude.contains(label)) {
+        app.emit_to(label, &event, &payload)?;
+        // only the windows with wildcard listeners need the event twice
+        if wildcard.0.listened(label) {
+            app.emit_to(label, desktop_events::BROADCAST_EVENT, &broadcast)?;
+        }
+    }
+    Ok(())
+}
+
+/// How long a channel message waits for its target to receive it, e.g. when the target has no channel open.
+const CHANNEL_MESSAGE_TTL: Duration = Duration::from_secs(60);
+
+/// The messages sent with [`post_channel_message`] until their target receives them, see `WindowChannel`.
+///
+/// The target is only notified of the message, so it can read it with [`receive_channel_message`]
+/// along with the label of the window that really sent it, which an event emitted from JS can't prove.
+#[derive(Default)]
+pub struct ChannelMessages {
+    messages: Mutex<HashMap<u32, ChannelMessage>>,
+    next_id: AtomicU32,
+}
+
+struct ChannelMessage {
+    from: String,
+    to: String,
+    envelope: serde_json::Value,
+    sent: Instant,
+}
+
+impl ChannelMessages {
+    /// Forgets the messages sent to a webview that was reloaded or destroyed.
+    pub fn forget(&self, label: &str) {
+        self.messages
+            .lock()
+            .unwrap()
+            .retain(|_, message| message.to != label);
+    }
+}
+
+#[derive(Clone, Serialize)]
+struct ChannelNotice<'a> {
+    id: u32,
+    channel: &'a str,
+    from: &'a str,
+}
+
+#[derive(Serialize)]
+pub struct ReceivedChannelMessage {
+    from: String,
+    envelope: serde_json::Value,
+}
+
+/// Sends a `WindowChannel` message to the window, see [`ChannelMessages`].
 #[tauri::command]
-pub async fn create<R: Runtime>(app: AppHandle<R>, options: WindowConfig) -> Result<()> {
-    tauri::window::WindowBuilder::from_config(&app, options).build()?;
+pub async fn post_channel_message<R: Runtime>(
+    app: AppHandle<R>,
+    window: Window<R>,
+    label: String,
+    channel: String,
+    envelope: serde_json::Value,
+    messages: State<'_, ChannelMessages>,
+) -> Result<()> {
+    check_target(&window, &label)?;
+    if app.get_window(&label).is_none() {
+        return Err(Error::WindowNotFound(label));
+    }
+    let id = messages.next_id.fetch_add(1, Ordering::Relaxed);
+    {
+        let mut pending = messages.messages.lock().unwrap();
+        pending.retain(|_, message| message.sent.elapsed() < CHANNEL_MESSAGE_TTL);
+        pending.insert(
+            id,
+            ChannelMessage {
+                from: window.label().to_string(),
+                to: label.clone(),
+                envelope,
+                sent: Instant::now(),
+            },
+        );
+    }
+    app.emit_to(
+        &label,
+        desktop_events::CHANNEL_MESSAGE_EVENT,
+        ChannelNotice {
+            id,
+            channel: &channel,
+            from: window.label(),
+        },
+    )?;
     Ok(())
 }
 
+/// Reads a `WindowChannel` message sent to the calling window, see [`ChannelMessages`].
+#[tauri::command]
+pub async fn receive_channel_message<R: Runtime>(
+    window: Window<R>,
+    id: u32,
+    messages: State<'_, ChannelMessages>,
+) -> Result<Option<ReceivedChannelMessage>> {
+    let mut pending = messages.messages.lock().unwrap();
+    if pending
+        .get(&id)
+        .map_or(true, |message| message.to != window.label())
+    {
+        return Ok(None);
+    }
+    Ok(pending.remove(&id).map(|message| ReceivedChannelMessage {
+        from: message.from,
+        envelope: message.envelope,
+    }))
+}
+
+#[tauri::command]
+pub async fn parent<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+    relations: State<'_, WindowRelations>,
+) -> Result<Option<String>> {
+    with_window(window, label, |w| {
+        Ok::<_, Error>(relations.parent(w.label()))
+    })
+}
+
+#[tauri::command]
+pub async fn children<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+    relations: State<'_, WindowRelations>,
+) -> Result<Vec<String>> {
+    with_window(window, label, |w| {
+        Ok::<_, Error>(relations.children(w.label()))
+    })
+}
+
 fn get_window<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<Window<R>> {
     match label {
-        Some(l) if !l.is_empty() => window.get_window(&l).ok_or(Error::WindowNotFound),
+        Some(l) if !l.is_empty() => {
+            check_target(&window, &l)?;
+            window.get_window(&l).ok_or(Error::WindowNotFound(l))
+        }
         _ => Ok(window),
     }
 }
 
+/// Checks the scope of the calling window allows it to access the target window.
+fn check_target<R: Runtime>(caller: &Window<R>, target: &str) -> Result<()> {
+    if caller
+        .state::<Scopes>()
+        .allows_target(caller.label(), target)
+    {
+        Ok(())
+    } else {
+        Err(Error::TargetNotAllowed(target.into()))
+    }
+}
+
+/// Runs `f` on the target window, tagging any error with the window label.
+fn with_window<R: Runtime, T, E: Into<Error>>(
+    window: Window<R>,
+    label: Option<String>,
+    f: impl FnOnce(&Window<R>) -> std::result::Result<T, E>,
+) -> Result<T> {
+    let window = get_window(window, label)?;
+    f(&window).map_err(|e| e.into().for_window(window.label()))
+}
+
 macro_rules! getter {
     ($cmd: ident, $ret: ty) => {
         #[tauri::command]
         pub async fn $cmd<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<$ret> {
-            get_window(window, label)?.$cmd().map_err(Into::into)
+            with_window(window, label, |w| w.$cmd())
         }
     };
 }
@@ -88,7 +1242,7 @@ macro_rules! setter {
     ($cmd: ident) => {
         #[tauri::command]
         pub async fn $cmd<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
-            get_window(window, label)?.$cmd().map_err(Into::into)
+            with_window(window, label, |w| w.$cmd())
         }
     };
 
@@ -99,7 +1253,7 @@ macro_rules! setter {
             label: Option<String>,
             value: $input,
         ) -> Result<()> {
-            get_window(window, label)?.$cmd(value).map_err(Into::into)
+            with_window(window, label, |w| w.$cmd(value))
         }
     };
 }
@@ -120,10 +1274,113 @@ getter!(is_minimizable, bool);
 getter!(is_closable, bool);
 getter!(is_visible, bool);
 getter!(title, String);
-getter!(current_monitor, Option<Monitor>);
-getter!(primary_monitor, Option<Monitor>);
-getter!(available_monitors, Vec<Monitor>);
 getter!(theme, Theme);
+getter!(cursor_position, PhysicalPosition<f64>);
+
+#[tauri::command]
+pub async fn current_monitor<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+) -> Result<Option<MonitorInfo>> {
+    with_window(window, label, |w| {
+        let primary = w.primary_monitor()?;
+        Ok::<_, tauri::Error>(
+            w.current_monitor()?
+                .map(|monitor| MonitorInfo::new(w, &monitor, primary.as_ref())),
+        )
+    })
+}
+
+#[tauri::command]
+pub async fn primary_monitor<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+) -> Result<Option<MonitorInfo>> {
+    with_window(window, label, |w| {
+        Ok::<_, tauri::Error>(
+            w.primary_monitor()?
+                .map(|monitor| MonitorInfo::new(w, &monitor, Some(&monitor))),
+        )
+    })
+}
+
+#[tauri::command]
+pub async fn available_monitors<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+) -> Result<Vec<MonitorInfo>> {
+    with_window(window, label, desktop_monitors::monitors)
+}
+
+#[tauri::command]
+pub async fn watch_monitors<R: Runtime>(window: Window<R>) {
+    desktop_monitors::watch(&window);
+}
+
+#[tauri::command]
+pub async fn unwatch_monitors<R: Runtime>(window: Window<R>) {
+    window
+        .state::<desktop_monitors::MonitorWatcher>()
+        .unwatch(window.label());
+}
+
+/// Declares the fields of the [`WindowState`] snapshot, each one read with the window getter of the same name.
+macro_rules! window_state {
+    ($($field: ident: $variant: ident => $ret: ty),* $(,)?) => {
+        #[derive(Debug, Clone, Copy, PartialEq, Eq, Deserialize)]
+        #[serde(rename_all = "camelCase")]
+        pub enum WindowStateField {
+            $($variant),*
+        }
+
+        #[derive(Debug, Default, Serialize)]
+        #[serde(rename_all = "camelCase")]
+        pub struct WindowState {
+            $(
+                #[serde(skip_serializing_if = "Option::is_none")]
+                $field: Option<$ret>,
+            )*
+        }
+
+        #[tauri::command]
+        pub async fn state<R: Runtime>(
+            window: Window<R>,
+            label: Option<String>,
+            fields: Option<Vec<WindowStateField>>,
+        ) -> Result<WindowState> {
+            let wants = |field| fields.as_ref().map_or(true, |fields| fields.contains(&field));
+            with_window(window, label, |window| -> Result<WindowState> {
+                let mut state = WindowState::default();
+                $(
+                    if wants(WindowStateField::$variant) {
+                        state.$field = Some(window.$field()?);
+                    }
+                )*
+                Ok(state)
+            })
+        }
+    };
+}
+
+window_state! {
+    scale_factor: ScaleFactor => f64,
+    inner_position: InnerPosition => PhysicalPosition<i32>,
+    outer_position: OuterPosition => PhysicalPosition<i32>,
+    inner_size: InnerSize => PhysicalSize<u32>,
+    outer_size: OuterSize => PhysicalSize<u32>,
+    is_fullscreen: IsFullscreen => bool,
+    is_minimized: IsMinimized => bool,
+    is_maximized: IsMaximized => bool,
+    is_focused: IsFocused => bool,
+    is_decorated: IsDecorated => bool,
+    is_resizable: IsResizable => bool,
+    is_maximizable: IsMaximizable => bool,
+    is_minimizable: IsMinimizable => bool,
+    is_closable: IsClosable => bool,
+    is_visible: IsVisible => bool,
+    title: Title => String,
+    theme: Theme => Theme,
+}
 
 setter!(center);
 setter!(request_user_attention, Option<UserAttentionType>);
@@ -136,9 +1393,6 @@ setter!(maximize);
 setter!(unmaximize);
 setter!(minimize);
 setter!(unminimize);
-setter!(show);
-setter!(hide);
-setter!(close);
 setter!(set_decorations, bool);
 setter!(set_shadow, bool);
 setter!(set_effects, Option<WindowEffectsConfig>);
@@ -159,40 +1413,492 @@ setter!(set_ignore_cursor_events, bool);
 setter!(start_dragging);
 setter!(print);
 
+/// The edge or corner of the window to resize from.
+#[derive(Debug, Clone, Copy, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum ResizeDirection {
+    N,
+    S,
+    E,
+    W,
+    Ne,
+    Nw,
+    Se,
+    Sw,
+}
+
+/// Starts resizing the window from the given edge, as if the user pressed the mouse on the window border.
+///
+/// Does nothing if the window is not resizable or is maximized.
+/// The OS handles the resizing, except on macOS which gets an [`Error::Unsupported`]
+/// so the caller can resize the window itself, see `scripts/resize.js`.
 #[tauri::command]
-pub async fn set_icon<R: Runtime>(
+pub async fn start_resize_dragging<R: Runtime>(
     window: Window<R>,
     label: Option<String>,
-    value: IconDto,
+    direction: ResizeDirection,
 ) -> Result<()> {
-    get_window(window, label)?
-        .set_icon(value.into())
-        .map_err(Into::into)
+    with_window(window, label, |window| -> Result<()> {
+        if !window.is_resizable()? || window.is_maximized()? {
+            return Ok(());
+        }
+        resize_dragging(window, direction)
+    })
 }
 
+#[cfg(windows)]
+fn resize_dragging<R: Runtime>(window: &Window<R>, direction: ResizeDirection) -> Result<()> {
+    use windows_sys::Win32::{
+        Foundation::POINT,
+        UI::{
+            Input::KeyboardAndMouse::ReleaseCapture,
+            WindowsAndMessaging::{
+                GetCursorPos, PostMessageW, HTBOTTOM, HTBOTTOMLEFT, HTBOTTOMRIGHT, HTLEFT, HTRIGHT,
+                HTTOP, HTTOPLEFT, HTTOPRIGHT, WM_NCLBUTTONDOWN,
+            },
+        },
+    };
+
+    let hit = match direction {
+        ResizeDirection::N => HTTOP,
+        ResizeDirection::S => HTBOTTOM,
+        ResizeDirection::E => HTRIGHT,
+        ResizeDirection::W => HTLEFT,
+        ResizeDirection::Ne => HTTOPRIGHT,
+        ResizeDirection::Nw => HTTOPLEFT,
+        ResizeDirection::Se => HTBOTTOMRIGHT,
+        ResizeDirection::Sw => HTBOTTOMLEFT,
+    };
+    let hwnd = window.hwnd()?.0;
+    // the mouse capture belongs to the thread of the window, so it can only be released there
+    window.run_on_main_thread(move || unsafe {
+        let mut cursor = POINT { x: 0, y: 0 };
+        GetCursorPos(&mut cursor);
+        // hands the mouse over to the non-client area hit test, which starts the OS resize loop
+        ReleaseCapture();
+        PostMessageW(
+            hwnd,
+            WM_NCLBUTTONDOWN,
+            hit as usize,
+            ((cursor.y as isize) << 16) | (cursor.x as isize & 0xFFFF),
+        );
+    })?;
+    Ok(())
+}
+
+#[cfg(any(
+    target_os = "linux",
+    target_os = "dragonfly",
+    target_os = "freebsd",
+    target_os = "netbsd",
+    target_os = "openbsd"
+))]
+fn resize_dragging<R: Runtime>(window: &Window<R>, direction: ResizeDirection) -> Result<()> {
+    use gtk::{gdk::WindowEdge, prelude::*};
+
+    let edge = match direction {
+        ResizeDirection::N => WindowEdge::North,
+        ResizeDirection::S => WindowEdge::South,
+        ResizeDirection::E => WindowEdge::East,
+        ResizeDirection::W => WindowEdge::West,
+        ResizeDirection::Ne => WindowEdge::NorthEast,
+        ResizeDirection::Nw => WindowEdge::NorthWest,
+        ResizeDirection::Se => WindowEdge::SouthEast,
+        ResizeDirection::Sw => WindowEdge::SouthWest,
+    };
+    let target = window.clone();
+    // GTK can only be used on the main thread
+    window.run_on_main_thread(move || {
+        let Ok(gtk_window) = target.gtk_window() else {
+            return;
+        };
+        let Some(pointer) = gtk_window
+            .display()
+            .default_seat()
+            .and_then(|seat| seat.pointer())
+        else {
+            return;
+        };
+        let (_, x, y) = pointer.position();
+        // the window manager takes over the mouse until the left button is released
+        gtk_window.begin_resize_drag(edge, 1, x, y, gtk::current_event_time());
+    })?;
+    Ok(())
+}
+
+#[cfg(target_os = "macos")]
+fn resize_dragging<R: Runtime>(_window: &Window<R>, _direction: ResizeDirection) -> Result<()> {
+    Err(Error::Unsupported("resize dragging"))
+}
+
+/// Closes the window once its children accepted to close, see [`close_with_children`].
 #[tauri::command]
-pub async fn toggle_maximize<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
+pub async fn close<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
     let window = get_window(window, label)?;
-    match window.is_maximized()? {
-        true => window.unmaximize()?,
-        false => window.maximize()?,
-    };
+    let label = window.label().to_string();
+    close_with_children(window)
+        .await
+        .map(|_| ())
+        .map_err(|e| e.for_window(&label))
+}
+
+#[tauri::command]
+pub async fn show<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
+    with_window(window, label, |window| -> Result<()> {
+        window.show()?;
+        desktop_events::update_flags(window);
+        Ok(())
+    })
+}
+
+#[tauri::command]
+pub async fn hide<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
+    with_window(window, label, |window| -> Result<()> {
+        window.hide()?;
+        desktop_events::update_flags(window);
+        Ok(())
+    })
+}
+
+#[tauri::command]
+pub async fn set_icon<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+    value: IconDto,
+) -> Result<()> {
+    with_window(window, label, |w| w.set_icon(value.into()))
+}
+
+const STATE_FILENAME: &str = ".window-state.json";
+const LAYOUTS_FILENAME: &str = ".window-layouts.json";
+const LAYOUT_VERSION: u32 = 1;
+
+// guards the read-modify-write cycle of the state and layouts files
+static STATE_FILE_LOCK: Mutex<()> = Mutex::new(());
+
+/// Window geometry persisted by [`save_window_state`], keyed by window label.
+#[derive(Debug, Default, Clone, Deserialize, Serialize)]
+#[serde(rename_all = "camelCase")]
+struct SavedWindowState {
+    x: i32,
+    y: i32,
+    width: u32,
+    height: u32,
+    maximized: bool,
+    fullscreen: bool,
+    monitor: Option<String>,
+    scale_factor: f64,
+}
+
+fn app_data_file<R: Runtime, M: Manager<R>>(manager: &M, filename: &str) -> Result<PathBuf> {
+    Ok(manager.path().app_data_dir()?.join(filename))
+}
+
+fn read_json_file<T: DeserializeOwned + Default>(path: &PathBuf) -> Result<T> {
+    match std::fs::read(path) {
+        Ok(bytes) => serde_json::from_slice(&bytes).map_err(Into::into),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => Ok(T::default()),
+        Err(e) => Err(e.into()),
+    }
+}
+
+fn write_json_file<T: Serialize>(path: &PathBuf, value: &T) -> Result<()> {
+    if let Some(dir) = path.parent() {
+        std::fs::create_dir_all(dir)?;
+    }
+    std::fs::write(path, serde_json::to_vec(value)?)?;
+    Ok(())
+}
+
+/// Updates the state with the current window state.
+fn read_window_state<R: Runtime>(window: &Window<R>, state: &mut SavedWindowState) -> Result<()> {
+    state.maximized = window.is_maximized()?;
+    state.fullscreen = window.is_fullscreen()?;
+    // the geometry of a maximized, fullscreen or minimized window is not the one we want to restore,
+    // so keep the previously saved one
+    if !state.maximized && !state.fullscreen && !window.is_minimized()? {
+        let position = window.outer_position()?;
+        let size = window.inner_size()?;
+        state.x = position.x;
+        state.y = position.y;
+        state.width = size.width;
+        state.height = size.height;
+        state.monitor = window.current_monitor()?.and_then(|m| m.name().cloned());
+        state.scale_factor = window.scale_factor()?;
+    }
     Ok(())
 }
 
+fn save_current_state<R: Runtime>(window: &Window<R>) -> Result<()> {
+    let _lock = STATE_FILE_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+    let path = app_data_file(window, STATE_FILENAME)?;
+    let mut states: HashMap<String, SavedWindowState> = read_json_file(&path)?;
+    read_window_state(
+        window,
+        states.entry(window.label().to_string()).or_default(),
+    )?;
+    write_json_file(&path, &states)
+}
+
+fn restore_saved_state<R: Runtime>(window: &Window<R>) -> Result<bool> {
+    // an unreadable or corrupt state file must not prevent the window from opening
+    let states: HashMap<String, SavedWindowState> = {
+        let _lock = STATE_FILE_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+        app_data_file(window, STATE_FILENAME)
+            .and_then(|path| read_json_file(&path))
+            .unwrap_or_default()
+    };
+    let Some(state) = states.get(window.label()) else {
+        return Ok(false);
+    };
+
+    if state.width > 0 && state.height > 0 {
+        let (position, size) = clamp_to_monitors(window, state, &window.available_monitors()?);
+        window.set_size(Size::Physical(size))?;
+        window.set_position(Position::Physical(position))?;
+    }
+    if state.maximized {
+        window.maximize()?;
+    }
+    if state.fullscreen {
+        window.set_fullscreen(true)?;
+    }
+
+    Ok(true)
+}
+
+fn overlap_area(state: &SavedWindowState, monitor: &Monitor) -> i64 {
+    let (mx, my) = (monitor.position().x as i64, monitor.position().y as i64);
+    let (mw, mh) = (monitor.size().width as i64, monitor.size().height as i64);
+    let (x, y) = (state.x as i64, state.y as i64);
+    let (w, h) = (state.width as i64, state.height as i64);
+
+    let width = (x + w).min(mx + mw) - x.max(mx);
+    let height = (y + h).min(my + mh) - y.max(my);
+    if width > 0 && height > 0 {
+        width * height
+    } else {
+        0
+    }
+}
+
+/// Fits the saved rect into the work area of the monitor it overlaps the most,
+/// falling back to the monitor it was saved on and then to the first available one
+/// so a window saved on a display that is no longer connected does not open off-screen.
+fn clamp_to_monitors<R: Runtime>(
+    window: &Window<R>,
+    state: &SavedWindowState,
+    monitors: &[Monitor],
+) -> (PhysicalPosition<i32>, PhysicalSize<u32>) {
+    let position = PhysicalPosition::new(state.x, state.y);
+    let size = PhysicalSize::new(state.width, state.height);
+
+    let monitor = monitors
+        .iter()
+        .filter(|m| overlap_area(state, m) > 0)
+        .max_by_key(|m| overlap_area(state, m))
+        .or_else(|| {
+            monitors
+                .iter()
+                .find(|m| state.monitor.is_some() && m.name() == state.monitor.as_ref())
+        })
+        .or_else(|| monitors.first());
+    let Some(monitor) = monitor else {
+        return (position, size);
+    };
+
+    // keep the logical size when the monitor has a different scale factor
+    let ratio = if state.scale_factor > 0.0 {
+        monitor.scale_factor() / state.scale_factor
+    } else {
+        1.0
+    };
+    // keep the window off the taskbar, dock and panels
+    let WorkArea {
+        position: origin,
+        size: area,
+    } = desktop_monitors::work_area(window, monitor);
+    let width = ((size.width as f64 * ratio) as u32).min(area.width);
+    let height = ((size.height as f64 * ratio) as u32).min(area.height);
+    let x = position
+        .x
+        .clamp(origin.x, origin.x + (area.width - width) as i32);
+    let y = position
+        .y
+        .clamp(origin.y, origin.y + (area.height - height) as i32);
+
+    (
+        PhysicalPosition::new(x, y),
+        PhysicalSize::new(width, height),
+    )
+}
+
 #[tauri::command]
-pub async fn internal_toggle_maximize<R: Runtime>(
+pub async fn save_window_state<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
+    with_window(window, label, save_current_state)
+}
+
+#[tauri::command]
+pub async fn restore_window_state<R: Runtime>(
     window: Window<R>,
     label: Option<String>,
+) -> Result<bool> {
+    with_window(window, label, restore_saved_state)
+}
+
+/// A named arrangement of windows, see [`save_layout`].
+#[derive(Debug, Clone, Deserialize, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct Layout {
+    version: u32,
+    /// The windows, from back to front.
+    windows: Vec<LayoutWindow>,
+}
+
+#[derive(Debug, Clone, Deserialize, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct LayoutWindow {
+    label: String,
+    url: String,
+    /// The options the window was created with, if known.
+    options: Option<WindowConfig>,
+    #[serde(flatten)]
+    state: SavedWindowState,
+    visible: bool,
+    focused: bool,
+}
+
+/// The options of the windows created with [`create`], used to re-create them when applying a layout.
+#[derive(Default)]
+pub struct WindowConfigs(Mutex<HashMap<String, WindowConfig>>);
+
+impl WindowConfigs {
+    pub fn remove(&self, label: &str) {
+        self.0.lock().unwrap().remove(label);
+    }
+}
+
+/// Captures the layout of the windows the caller can target.
+#[tauri::command]
+pub async fn capture_layout<R: Runtime>(
+    app: AppHandle<R>,
+    caller: Window<R>,
+    configs: State<'_, WindowConfigs>,
+    scopes: State<'_, Scopes>,
+) -> Result<Layout> {
+    let configs = configs.0.lock().unwrap().clone();
+    let mut windows = Vec::new();
+    for (label, window) in app
+        .windows()
+        .into_iter()
+        .filter(|(label, _)| scopes.allows_target(caller.label(), label))
+    {
+        let mut state = SavedWindowState::default();
+        read_window_state(&window, &mut state).map_err(|e| e.for_window(&label))?;
+        let options = configs.get(&label).cloned().or_else(|| {
+            app.config()
+                .tauri
+                .windows
+                .iter()
+                .find(|w| w.label == label)
+                .cloned()
+        });
+        windows.push(LayoutWindow {
+            url: window.url().to_string(),
+            options,
+            state,
+            visible: window.is_visible()?,
+            focused: window.is_focused()?,
+            label,
+        });
+    }
+    // there is no way to read the z-order, so just make sure the focused window ends up on top
+    windows.sort_by_key(|w| w.focused);
+
+    Ok(Layout {
+        version: LAYOUT_VERSION,
+        windows,
+    })
+}
+
+#[tauri::command]
+pub async fn save_layout<R: Runtime>(
+    app: AppHandle<R>,
+    name: String,
+    layout: serde_json::Value,
 ) -> Result<()> {
-    let window = get_window(window, label)?;
-    if window.is_resizable()? {
+    // imported presets can come from another version of the app,
+    // so check the version before the format it determines
+    match layout.get("version").and_then(serde_json::Value::as_u64) {
+        Some(version) if version == LAYOUT_VERSION as u64 => {}
+        Some(version) => {
+            return Err(Error::InvalidLayout(format!(
+                "unsupported layout version {version}"
+            )))
+        }
+        None => return Err(Error::InvalidLayout("missing layout version".into())),
+    }
+    let layout: Layout =
+        serde_json::from_value(layout).map_err(|e| Error::InvalidLayout(e.to_string()))?;
+    let _lock = STATE_FILE_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+    let path = app_data_file(&app, LAYOUTS_FILENAME)?;
+    let mut layouts: HashMap<String, Layout> = read_json_file(&path)?;
+    layouts.insert(name, layout);
+    write_json_file(&path, &layouts)
+}
+
+#[tauri::command]
+pub async fn layout<R: Runtime>(app: AppHandle<R>, name: String) -> Result<Option<Layout>> {
+    let _lock = STATE_FILE_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+    let mut layouts: HashMap<String, Layout> =
+        read_json_file(&app_data_file(&app, LAYOUTS_FILENAME)?)?;
+    Ok(layouts.remove(&name))
+}
+
+#[tauri::command]
+pub async fn layout_names<R: Runtime>(app: AppHandle<R>) -> Result<Vec<String>> {
+    let _lock = STATE_FILE_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+    let layouts: HashMap<String, Layout> = read_json_file(&app_data_file(&app, LAYOUTS_FILENAME)?)?;
+    Ok(layouts.into_keys().collect())
+}
+
+#[tauri::command]
+pub async fn delete_layout<R: Runtime>(app: AppHandle<R>, name: String) -> Result<bool> {
+    let _lock = STATE_FILE_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+    let path = app_data_file(&app, LAYOUTS_FILENAME)?;
+    let mut layouts: HashMap<String, Layout> = read_json_file(&path)?;
+    let deleted = layouts.remove(&name).is_some();
+    if deleted {
+        write_json_file(&path, &layouts)?;
+    }
+    Ok(deleted)
+}
+
+#[tauri::command]
+pub async fn toggle_maximize<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
+    with_window(window, label, |window| -> Result<()> {
         match window.is_maximized()? {
             true => window.unmaximize()?,
             false => window.maximize()?,
         };
-    }
-    Ok(())
+        Ok(())
+    })
+}
+
+#[tauri::command]
+pub async fn internal_toggle_maximize<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+) -> Result<()> {
+    with_window(window, label, |window| -> Result<()> {
+        if window.is_resizable()? {
+            match window.is_maximized()? {
+                true => window.unmaximize()?,
+                false => window.maximize()?,
+            };
+        }
+        Ok(())
+    })
 }
 
 #[cfg(any(debug_assertions, feature = "devtools"))]
@@ -201,11 +1907,80 @@ pub async fn internal_toggle_devtools<R: Runtime>(
     window: Window<R>,
     label: Option<String>,
 ) -> Result<()> {
-    let window = get_window(window, label)?;
-    if window.is_devtools_open() {
-        window.close_devtools();
-    } else {
+    with_window(window, label, |window| {
+        set_devtools_open(window, !devtools_open(window))
+    })
+}
+
+#[tauri::command]
+pub async fn open_devtools<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
+    with_window(window, label, |window| set_devtools_open(window, true))
+}
+
+#[tauri::command]
+pub async fn close_devtools<R: Runtime>(window: Window<R>, label: Option<String>) -> Result<()> {
+    with_window(window, label, |window| set_devtools_open(window, false))
+}
+
+#[tauri::command]
+pub async fn is_devtools_open<R: Runtime>(
+    window: Window<R>,
+    label: Option<String>,
+) -> Result<bool> {
+    with_window(window, label, |window| {
+        Ok::<_, Error>(devtools_open(window))
+    })
+}
+
+/// Whether the devtools of the window are open, always `false` when the devtools are not enabled.
+pub fn devtools_open<R: Runtime>(window: &Window<R>) -> bool {
+    #[cfg(any(debug_assertions, feature = "devtools"))]
+    let open = window.is_devtools_open();
+    #[cfg(not(any(debug_assertions, feature = "devtools")))]
+    let open = {
+        let _ = window;
+        false
+    };
+    open
+}
+
+#[cfg(any(debug_assertions, feature = "devtools"))]
+fn set_devtools_open<R: Runtime>(window: &Window<R>, open: bool) -> Result<()> {
+    if open {
         window.open_devtools();
+    } else {
+        window.close_devtools();
     }
+    desktop_events::update_flags(window);
     Ok(())
 }
+
+#[cfg(not(any(debug_assertions, feature = "devtools")))]
+fn set_devtools_open<R: Runtime>(_window: &Window<R>, _open: bool) -> Result<()> {
+    Err(Error::Unsupported("devtools"))
+}
+
+#[cfg(test)]
+mod tests {
+    use super::is_emittable_event;
+
+    #[test]
+    fn shared_state_events_are_emittable() {
+        // see `sharedStateEvent` and `sharedStateSyncEvent` in guest-js, `a.b c_d` is escaped to `a_2e_b_20_c_5f_d`
+        assert!(is_emittable_event(
+            "plugin-window:shared-state/a_2e_b_20_c_5f_d"
+        ));
+        assert!(is_emittable_event(
+            "plugin-window:shared-state-sync/a_2e_b_20_c_5f_d"
+        ));
+        assert!(is_emittable_event("plugin-window:shared-state/"));
+    }
+
+    #[test]
+    fn reserved_events_are_not_emittable() {
+        assert!(!is_emittable_event(""));
+        assert!(!is_emittable_event("window://shared-state/theme"));
+        assert!(!is_emittable_event("tauri://close-requested"));
+        assert!(!is_emittable_event("shared state"));
+    }
+}
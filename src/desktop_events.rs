@@ -0,0 +1,205 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+use std::{collections::HashMap, sync::Mutex};
+
+use serde::Serialize;
+use tauri::{AppHandle, Manager, PageLoadPayload, RunEvent, Runtime, Window, WindowEvent};
+
+use crate::{
+    desktop_commands::{
+        close_with_children, devtools_open, ChannelMessages, CloseRequests, CursorTrackers,
+        ModalWindows, WildcardListeners, WindowConfigs, WindowRelations,
+    },
+    desktop_monitors::MonitorWatcher,
+};
+
+pub const CREATED_EVENT: &str = "window://created";
+pub const DESTROYED_EVENT: &str = "window://destroyed";
+pub const VISIBILITY_CHANGED_EVENT: &str = "window://visibility-changed";
+pub const MINIMIZED_CHANGED_EVENT: &str = "window://minimized-changed";
+pub const MAXIMIZED_CHANGED_EVENT: &str = "window://maximized-changed";
+pub const FULLSCREEN_CHANGED_EVENT: &str = "window://fullscreen-changed";
+pub const DEVTOOLS_CHANGED_EVENT: &str = "window://devtools-changed";
+pub const BROADCAST_EVENT: &str = "window://broadcast";
+pub const CLOSE_REQUESTED_BY_PARENT_EVENT: &str = "window://close-requested-by-parent";
+pub const CHANNEL_MESSAGE_EVENT: &str = "window://channel-message";
+pub const CURSOR_MOVED_EVENT: &str = "window://cursor-moved";
+pub const CURSOR_ENTERED_EVENT: &str = "window://cursor-entered";
+pub const CURSOR_LEFT_EVENT: &str = "window://cursor-left";
+
+#[derive(Clone, Serialize)]
+struct LabelPayload<'a> {
+    label: &'a str,
+}
+
+#[derive(Clone, Copy, PartialEq, Eq)]
+struct WindowFlags {
+    visible: bool,
+    minimized: bool,
+    maximized: bool,
+    fullscreen: bool,
+    devtools: bool,
+}
+
+impl WindowFlags {
+    fn read<R: Runtime>(window: &Window<R>) -> tauri::Result<Self> {
+        Ok(Self {
+            visible: window.is_visible()?,
+            minimized: window.is_minimized()?,
+            maximized: window.is_maximized()?,
+            fullscreen: window.is_fullscreen()?,
+            devtools: devtools_open(window),
+        })
+    }
+}
+
+/// The last known flags of each window, used to detect state transitions
+/// that the runtime does not report with a dedicated event.
+#[derive(Default)]
+pub struct WindowFlagsState(Mutex<HashMap<String, WindowFlags>>);
+
+pub fn on_webview_ready<R: Runtime>(window: Window<R>) {
+    if let Ok(flags) = WindowFlags::read(&window) {
+        window
+            .state::<WindowFlagsState>()
+            .0
+            .lock()
+            .unwrap()
+            .insert(window.label().to_string(), flags);
+    }
+    let _ = window.emit_all(
+        CREATED_EVENT,
+        LabelPayload {
+            label: window.label(),
+        },
+    );
+}
+
+/// The page of the webview was (re)loaded, so the handlers it registered are gone.
+pub fn on_page_load<R: Runtime>(window: Window<R>, _payload: PageLoadPayload) {
+    window
+        .state::<CloseRequests>()
+        .forget_webview(window.label());
+    window.state::<MonitorWatcher>().forget(window.label());
+    let modals = window.state::<ModalWindows>();
+    modals.reapply(&window);
+    modals.forget_creator(window.label());
+    let trackers = window.state::<CursorTrackers>();
+    trackers.forget(&window.app_handle(), window.label());
+    trackers.reapply(&window);
+    window.state::<WildcardListeners>().0.forget(window.label());
+    window.state::<ChannelMessages>().forget(window.label());
+}
+
+pub fn on_event<R: Runtime>(app: &AppHandle<R>, event: &RunEvent) {
+    if let RunEvent::WindowEvent { label, event, .. } = event {
+        match event {
+            WindowEvent::CloseRequested { api, .. } => {
+                // a window blocked by a modal window can't be closed, even where its close button can't be disabled
+                if let Some(modal) = app.state::<ModalWindows>().modal(label) {
+                    api.prevent_close();
+                    if let Some(modal) = app.get_window(&modal) {
+                        let _ = modal.set_focus();
+                    }
+                    return;
+                }
+                // the close requested handlers of the window call `close`, which asks the children first,
+                // without handlers the window closes right away so ask them here
+                if app.state::<CloseRequests>().listeners(label) == 0
+                    && !app.state::<WindowRelations>().children(label).is_empty()
+                {
+                    if let Some(window) = app.get_window(label) {
+                        api.prevent_close();
+                        tauri::async_runtime::spawn(async move {
+                            let _ = close_with_children(window).await;
+                        });
+                    }
+                }
+            }
+            WindowEvent::Destroyed => {
+                app.state::<WindowFlagsState>()
+                    .0
+                    .lock()
+                    .unwrap()
+                    .remove(label);
+                app.state::<WindowConfigs>().remove(label);
+                app.state::<CloseRequests>().forget_window(label);
+                app.state::<MonitorWatcher>().forget(label);
+                app.state::<CursorTrackers>().forget(app, label);
+                app.state::<WildcardListeners>().0.forget(label);
+                app.state::<ChannelMessages>().forget(label);
+                // children never outlive their parent, even when it is not closed with `close_with_children`
+                for child in app.state::<WindowRelations>().remove(label) {
+                    if let Some(child) = app.get_window(&child) {
+                        let _ = child.close();
+                    }
+                }
+                let modals = app.state::<ModalWindows>();
+                modals.remove(app, label);
+                modals.forget_creator(label);
+                let _ = app.emit_all(DESTROYED_EVENT, LabelPayload { label });
+            }
+            WindowEvent::Focused(true) => {
+                // a window blocked by a modal window hands the focus over to it
+                if let Some(modal) = app.state::<ModalWindows>().modal(label) {
+                    if let Some(modal) = app.get_window(&modal) {
+                        let _ = modal.set_focus();
+                    }
+                }
+                if let Some(window) = app.get_window(label) {
+                    update_flags(&window);
+                }
+            }
+            WindowEvent::Resized(_) | WindowEvent::Moved(_) | WindowEvent::Focused(_) => {
+                if let Some(window) = app.get_window(label) {
+                    update_flags(&window);
+                }
+            }
+            _ => {}
+        }
+    }
+}
+
+/// Reads the window flags and emits an event for each one that changed since the last check.
+pub fn update_flags<R: Runtime>(window: &Window<R>) {
+    let Ok(flags) = WindowFlags::read(window) else {
+        return;
+    };
+    let previous = window
+        .state::<WindowFlagsState>()
+        .0
+        .lock()
+        .unwrap()
+        .insert(window.label().to_string(), flags);
+
+    if let Some(previous) = previous {
+        if previous.visible != flags.visible {
+            let _ = window.emit(VISIBILITY_CHANGED_EVENT, flags.visible);
+        }
+        if previous.minimized != flags.minimized {
+            let _ = window.emit(MINIMIZED_CHANGED_EVENT, flags.minimized);
+            // windows and macOS minimize the owned windows natively
+            #[cfg(not(any(windows, target_os = "macos")))]
+            for child in window.state::<WindowRelations>().children(window.label()) {
+                if let Some(child) = window.get_window(&child) {
+                    let _ = if flags.minimized {
+                        child.minimize()
+                    } else {
+                        child.unminimize()
+                    };
+                }
+            }
+        }
+        if previous.maximized != flags.maximized {
+            let _ = window.emit(MAXIMIZED_CHANGED_EVENT, flags.maximized);
+        }
+        if previous.fullscreen != flags.fullscreen {
+            let _ = window.emit(FULLSCREEN_CHANGED_EVENT, flags.fullscreen);
+        }
+        if previous.devtools != flags.devtools {
+            let _ = window.emit(DEVTOOLS_CHANGED_EVENT, flags.devtools);
+        }
+    }
+}
@@ -0,0 +1,321 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+use std::{collections::HashMap, sync::Mutex, thread, time::Duration};
+
+use serde::Serialize;
+use tauri::{Manager, Monitor, PhysicalPosition, PhysicalSize, Runtime, Window};
+
+pub const MONITORS_CHANGED_EVENT: &str = "window://monitors-changed";
+
+/// How often the monitor list is compared against the last known one.
+const POLL_INTERVAL: Duration = Duration::from_secs(1);
+
+/// The area of a monitor not covered by the taskbar, dock or panels.
+#[derive(Debug, Clone, PartialEq, Serialize)]
+pub struct WorkArea {
+    pub position: PhysicalPosition<i32>,
+    pub size: PhysicalSize<u32>,
+}
+
+/// A [`Monitor`] with the information the runtime does not expose.
+#[derive(Debug, Clone, PartialEq, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct MonitorInfo {
+    id: String,
+    name: Option<String>,
+    size: PhysicalSize<u32>,
+    position: PhysicalPosition<i32>,
+    scale_factor: f64,
+    work_area: WorkArea,
+    refresh_rate: Option<u32>,
+    is_primary: bool,
+}
+
+impl MonitorInfo {
+    pub fn new<R: Runtime>(
+        window: &Window<R>,
+        monitor: &Monitor,
+        primary: Option<&Monitor>,
+    ) -> Self {
+        let position = *monitor.position();
+        let size = *monitor.size();
+        let (work_area, refresh_rate) = platform::details(window, monitor);
+        Self {
+            // the OS name of the monitor (e.g. `\\.\DISPLAY1` or `HDMI-1`) identifies its connection,
+            // so it stays the same when the displays are rearranged
+            id: monitor.name().cloned().unwrap_or_else(|| {
+                format!(
+                    "{}x{}@{},{}",
+                    size.width, size.height, position.x, position.y
+                )
+            }),
+            name: monitor.name().cloned(),
+            size,
+            position,
+            scale_factor: monitor.scale_factor(),
+            work_area: work_area.unwrap_or(WorkArea { position, size }),
+            refresh_rate,
+            is_primary: primary.map_or(false, |primary| {
+                primary.name() == monitor.name() && primary.position() == monitor.position()
+            }),
+        }
+    }
+}
+
+/// The work area of the monitor, its whole area when the platform does not expose it.
+pub fn work_area<R: Runtime>(window: &Window<R>, monitor: &Monitor) -> WorkArea {
+    platform::details(window, monitor).0.unwrap_or(WorkArea {
+        position: *monitor.position(),
+        size: *monitor.size(),
+    })
+}
+
+/// Lists the available monitors.
+pub fn monitors<R: Runtime>(window: &Window<R>) -> tauri::Result<Vec<MonitorInfo>> {
+    let primary = window.primary_monitor()?;
+    Ok(window
+        .available_monitors()?
+        .iter()
+        .map(|monitor| MonitorInfo::new(window, monitor, primary.as_ref()))
+        .collect())
+}
+
+/// The webviews listening to the monitor changes and whether the watcher thread is running.
+#[derive(Default)]
+pub struct MonitorWatcher(Mutex<Watchers>);
+
+#[derive(Default)]
+struct Watchers {
+    /// The number of listeners of each webview.
+    listeners: HashMap<String, usize>,
+    polling: bool,
+}
+
+impl MonitorWatcher {
+    /// Removes a listener of the webview.
+    pub fn unwatch(&self, label: &str) {
+        let mut watcher = self.0.lock().unwrap();
+        if let Some(count) = watcher.listeners.get_mut(label) {
+            *count -= 1;
+            if *count == 0 {
+                watcher.listeners.remove(label);
+            }
+        }
+    }
+
+    /// Removes the listeners of a webview that was reloaded or destroyed.
+    pub fn forget(&self, label: &str) {
+        self.0.lock().unwrap().listeners.remove(label);
+    }
+}
+
+/// Adds a listener of the webview and starts polling the monitor list if needed,
+/// emitting [`MONITORS_CHANGED_EVENT`] to all windows when a display is connected, disconnected or rearranged.
+///
+/// The runtime has no hot-plug event, so the monitors are only polled while someone listens to the changes.
+pub fn watch<R: Runtime>(window: &Window<R>) {
+    let mut watcher = window.state::<MonitorWatcher>().inner().0.lock().unwrap();
+    *watcher
+        .listeners
+        .entry(window.label().to_string())
+        .or_default() += 1;
+    if watcher.polling {
+        return;
+    }
+    watcher.polling = true;
+
+    let app = window.app_handle();
+    thread::spawn(move || {
+        let mut last: Option<Vec<MonitorInfo>> = None;
+        loop {
+            {
+                let mut watcher = app.state::<MonitorWatcher>().inner().0.lock().unwrap();
+                if watcher.listeners.is_empty() {
+                    watcher.polling = false;
+                    return;
+                }
+            }
+            // monitors can only be queried through a window
+            if let Some(window) = app.windows().into_values().next() {
+                if let Ok(current) = monitors(&window) {
+                    if matches!(&last, Some(last) if *last != current) {
+                        let _ = app.emit_all(MONITORS_CHANGED_EVENT, &current);
+                    }
+                    last = Some(current);
+                }
+            }
+            thread::sleep(POLL_INTERVAL);
+        }
+    });
+}
+
+#[cfg(windows)]
+mod platform {
+    use std::mem::{size_of, zeroed};
+
+    use tauri::{Monitor, PhysicalPosition, PhysicalSize, Runtime, Window};
+    use windows_sys::Win32::{
+        Foundation::POINT,
+        Graphics::Gdi::{
+            EnumDisplaySettingsW, GetMonitorInfoW, MonitorFromPoint, DEVMODEW,
+            ENUM_CURRENT_SETTINGS, MONITORINFOEXW, MONITOR_DEFAULTTONULL,
+        },
+    };
+
+    use super::WorkArea;
+
+    /// Reads the work area and refresh rate of the monitor from the monitor handle at its center.
+    pub fn details<R: Runtime>(
+        _window: &Window<R>,
+        monitor: &Monitor,
+    ) -> (Option<WorkArea>, Option<u32>) {
+        let center = POINT {
+            x: monitor.position().x + monitor.size().width as i32 / 2,
+            y: monitor.position().y + monitor.size().height as i32 / 2,
+        };
+        unsafe {
+            let hmonitor = MonitorFromPoint(center, MONITOR_DEFAULTTONULL);
+            if hmonitor == 0 {
+                return (None, None);
+            }
+
+            let mut info: MONITORINFOEXW = zeroed();
+            info.monitorInfo.cbSize = size_of::<MONITORINFOEXW>() as u32;
+            if GetMonitorInfoW(hmonitor, &mut info as *mut MONITORINFOEXW as *mut _) == 0 {
+                return (None, None);
+            }
+            let work = info.monitorInfo.rcWork;
+            let work_area = WorkArea {
+                position: PhysicalPosition::new(work.left, work.top),
+                size: PhysicalSize::new(
+                    (work.right - work.left) as u32,
+                    (work.bottom - work.top) as u32,
+                ),
+            };
+
+            let mut mode: DEVMODEW = zeroed();
+            mode.dmSize = size_of::<DEVMODEW>() as u16;
+            let refresh_rate =
+                (EnumDisplaySettingsW(info.szDevice.as_ptr(), ENUM_CURRENT_SETTINGS, &mut mode)
+                    != 0)
+                    .then_some(mode.dmDisplayFrequency);
+
+            (Some(work_area), refresh_rate)
+        }
+    }
+}
+
+#[cfg(target_os = "macos")]
+mod platform {
+    use cocoa::{
+        appkit::NSScreen,
+        base::{id, nil},
+        foundation::{NSArray, NSRect},
+    };
+    use tauri::{Monitor, PhysicalPosition, PhysicalSize, Runtime, Window};
+
+    use super::WorkArea;
+
+    /// Reads the work area from the `visibleFrame` of the screen at the position of the monitor.
+    /// The runtime does not expose the refresh rate on this platform.
+    pub fn details<R: Runtime>(
+        _window: &Window<R>,
+        monitor: &Monitor,
+    ) -> (Option<WorkArea>, Option<u32>) {
+        unsafe {
+            let screens = NSScreen::screens(nil);
+            if screens.count() == 0 {
+                return (None, None);
+            }
+            // AppKit's origin is the bottom left corner of the primary screen, the runtime's its top left corner
+            let primary_height = NSScreen::frame(screens.objectAtIndex(0)).size.height;
+            let top_left = |rect: NSRect| {
+                (
+                    rect.origin.x,
+                    primary_height - rect.origin.y - rect.size.height,
+                )
+            };
+
+            let scale = monitor.scale_factor();
+            let position = monitor.position().to_logical::<f64>(scale);
+            for i in 0..screens.count() {
+                let screen: id = screens.objectAtIndex(i);
+                let (x, y) = top_left(NSScreen::frame(screen));
+                if (x - position.x).abs() < 1.0 && (y - position.y).abs() < 1.0 {
+                    let visible = NSScreen::visibleFrame(screen);
+                    let (x, y) = top_left(visible);
+                    let work_area = WorkArea {
+                        position: PhysicalPosition::new((x * scale) as i32, (y * scale) as i32),
+                        size: PhysicalSize::new(
+                            (visible.size.width * scale) as u32,
+                            (visible.size.height * scale) as u32,
+                        ),
+                    };
+                    return (Some(work_area), None);
+                }
+            }
+            (None, None)
+        }
+    }
+}
+
+#[cfg(any(
+    target_os = "linux",
+    target_os = "dragonfly",
+    target_os = "freebsd",
+    target_os = "netbsd",
+    target_os = "openbsd"
+))]
+mod platform {
+    use std::sync::mpsc;
+
+    use gtk::gdk;
+    use tauri::{Monitor, PhysicalPosition, PhysicalSize, Runtime, Window};
+
+    use super::WorkArea;
+
+    /// Reads the work area and refresh rate of the GDK monitor at the center of the monitor.
+    pub fn details<R: Runtime>(
+        window: &Window<R>,
+        monitor: &Monitor,
+    ) -> (Option<WorkArea>, Option<u32>) {
+        // GDK measures the monitors in logical pixels
+        let scale = monitor.scale_factor();
+        let position = monitor.position().to_logical::<i32>(scale);
+        let size = monitor.size().to_logical::<i32>(scale);
+        let (x, y) = (position.x + size.width / 2, position.y + size.height / 2);
+
+        // GDK can only be used on the main thread
+        let (tx, rx) = mpsc::channel();
+        let sent = window.run_on_main_thread(move || {
+            let details = gdk::Display::default()
+                .and_then(|display| display.monitor_at_point(x, y))
+                .map(|monitor| {
+                    let work = monitor.workarea();
+                    (
+                        (work.x(), work.y(), work.width(), work.height()),
+                        monitor.refresh_rate(),
+                    )
+                });
+            let _ = tx.send(details);
+        });
+        let Some(((x, y, width, height), refresh_rate)) =
+            sent.ok().and_then(|_| rx.recv().ok()).flatten()
+        else {
+            return (None, None);
+        };
+
+        let work_area = WorkArea {
+            position: PhysicalPosition::new((x as f64 * scale) as i32, (y as f64 * scale) as i32),
+            size: PhysicalSize::new(
+                (width as f64 * scale) as u32,
+                (height as f64 * scale) as u32,
+            ),
+        };
+        // in millihertz, `0` when unknown
+        let refresh_rate = (refresh_rate > 0).then_some(refresh_rate as u32 / 1000);
+        (Some(work_area), refresh_rate)
+    }
+}
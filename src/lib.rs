@@ -11,104 +11,461 @@
     html_favicon_url = "https://github.com/tauri-apps/tauri/raw/dev/app-icon.png"
 )]
 
-use tauri::{
-    plugin::{Builder, TauriPlugin},
-    Runtime,
-};
+use std::collections::HashSet;
+
+use serde::Serialize;
+use tauri::{plugin::TauriPlugin, utils::config::WindowConfig, Runtime};
+
+#[cfg(desktop)]
+use tauri::Manager;
 
 #[cfg(desktop)]
 mod desktop_commands;
+#[cfg(desktop)]
+mod desktop_events;
+#[cfg(desktop)]
+mod desktop_monitors;
+mod policy;
+mod scope;
+
+pub use policy::{PolicyCheck, WindowPolicy};
+pub use scope::WindowScope;
+
+/// What double clicking a drag region does.
+#[derive(Debug, Clone, Copy, Default, PartialEq, Eq, Serialize)]
+#[serde(rename_all = "lowercase")]
+pub enum DoubleClickAction {
+    /// Toggles the maximized state of the window, if it is resizable.
+    #[default]
+    Maximize,
+    /// Minimizes the window.
+    Minimize,
+    /// Does nothing.
+    None,
+}
+
+/// The options of the `data-tauri-drag-region` handling, see `scripts/drag.js`.
+#[derive(Debug, Clone, Copy, Default, Serialize)]
+#[serde(rename_all = "camelCase")]
+struct DragOptions {
+    threshold: u32,
+    double_click: DoubleClickAction,
+}
+
+/// The commands JS is allowed to invoke.
+#[derive(Default)]
+struct CommandFilter {
+    allowed: Option<HashSet<String>>,
+    denied: HashSet<String>,
+}
+
+impl CommandFilter {
+    #[cfg_attr(mobile, allow(dead_code))]
+    fn allows(&self, command: &str) -> bool {
+        self.allowed
+            .as_ref()
+            .map_or(true, |allowed| allowed.contains(command))
+            && !self.denied.contains(command)
+    }
+}
+
+/// The commands the JS API uses to register its listeners, to run the close requested handshake
+/// between a window and its children and to report the cursor events of a window,
+/// which must work in every window so they are not subject to the command filter and scopes.
+#[cfg(desktop)]
+const INTERNAL_COMMANDS: [&str; 5] = [
+    "internal_listen_close_requested",
+    "internal_close_request",
+    "internal_close_response",
+    "internal_listen_wildcard",
+    "internal_cursor_event",
+];
+
+/// Builds the window plugin with custom options.
+#[cfg_attr(mobile, allow(dead_code))]
+pub struct Builder {
+    drag: DragOptions,
+    drag_regions: bool,
+    resize_regions: bool,
+    print_override: bool,
+    #[cfg_attr(not(any(debug_assertions, feature = "devtools")), allow(dead_code))]
+    devtools_hotkey: Option<String>,
+    window_template: Option<WindowConfig>,
+    label_rule: Option<LabelRule>,
+    commands: CommandFilter,
+    scopes: Vec<(String, WindowScope)>,
+    window_policy: WindowPolicy,
+}
+
+/// A rule the labels of the windows created from JS must follow, see [`Builder::label_rule`].
+pub type LabelRule = Box<dyn Fn(&str) -> bool + Send + Sync>;
+
+impl Default for Builder {
+    fn default() -> Self {
+        Self {
+            drag: Default::default(),
+            drag_regions: true,
+            resize_regions: true,
+            print_override: true,
+            devtools_hotkey: Some(
+                if cfg!(target_os = "macos") {
+                    "Cmd+Alt+I"
+                } else {
+                    "Ctrl+Shift+I"
+                }
+                .into(),
+            ),
+            window_template: None,
+            label_rule: None,
+            commands: Default::default(),
+            scopes: Vec::new(),
+            window_policy: Default::default(),
+        }
+    }
+}
+
+impl Builder {
+    pub fn new() -> Self {
+        Self::default()
+    }
+
+    /// Sets how far, in CSS pixels, the mouse must move with the button pressed before a drag region starts dragging the window,
+    /// so clicks on the elements of the region still go through.
+    ///
+    /// Defaults to `0`, which starts dragging as soon as the button is pressed.
+    pub fn drag_threshold(mut self, threshold: u32) -> Self {
+        self.drag.threshold = threshold;
+        self
+    }
+
+    /// Sets what double clicking a drag region does,
+    /// unless the region overrides it with a `data-tauri-drag-region-double-click` attribute.
+    ///
+    /// Defaults to [`DoubleClickAction::Maximize`].
+    pub fn double_click_action(mut self, action: DoubleClickAction) -> Self {
+        self.drag.double_click = action;
+        self
+    }
+
+    /// Sets the hotkey that toggles the devtools of the focused window, e.g. `"Ctrl+Alt+D"` or `"CmdOrCtrl+F12"`.
+    /// The modifiers are `Ctrl`, `Shift`, `Alt`, `Cmd` and `CmdOrCtrl`, the key is the value of `KeyboardEvent.key` or `KeyboardEvent.code`.
+    ///
+    /// Defaults to `Cmd+Alt+I` on macOS and `Ctrl+Shift+I` on other platforms.
+    /// The hotkey is only available in debug builds or with the `devtools` feature.
+    pub fn devtools_hotkey(mut self, hotkey: impl Into<String>) -> Self {
+        self.devtools_hotkey.replace(hotkey.into());
+        self
+    }
+
+    /// Disables the hotkey that toggles the devtools, the devtools can still be opened with the JS API.
+    pub fn disable_devtools_hotkey(mut self) -> Self {
+        self.devtools_hotkey.take();
+        self
+    }
+
+    /// Disables the `data-tauri-drag-region` handling.
+    pub fn disable_drag_regions(mut self) -> Self {
+        self.drag_regions = false;
+        self
+    }
+
+    /// Disables the `data-tauri-resize-region` handling and the border set with `setResizeBorder`.
+    pub fn disable_resize_regions(mut self) -> Self {
+        self.resize_regions = false;
+        self
+    }
+
+    /// Disables the `window.print` override that prints the webview on macOS, where `window.print` does nothing by default.
+    pub fn disable_print_override(mut self) -> Self {
+        self.print_override = false;
+        self
+    }
+
+    /// Sets the template of the windows created from JS: the options not set from JS are taken from it.
+    /// The label of the template is ignored.
+    pub fn window_template(mut self, template: WindowConfig) -> Self {
+        self.window_template.replace(template);
+        self
+    }
+
+    /// Sets a rule the labels of the windows created from JS must follow, on top of the allowed characters.
+    /// Creating a window with a label that does not follow it fails with an `InvalidLabel` error.
+    pub fn label_rule<F: Fn(&str) -> bool + Send + Sync + 'static>(mut self, rule: F) -> Self {
+        self.label_rule.replace(Box::new(rule));
+        self
+    }
+
+    /// Only allows JS to invoke the given commands, e.g. `["create", "set_title"]`.
+    /// Calling any other command fails with a `CommandNotAllowed` error.
+    ///
+    /// Note that the drag, resize and devtools scripts injected by the plugin rely on
+    /// the `start_dragging`, `internal_toggle_maximize`, `minimize`, `start_resize_dragging`, `state`, `set_position`, `set_size`,
+    /// `set_cursor_icon` and `internal_toggle_devtools` commands.
+    pub fn allow_commands<I: IntoIterator<Item = S>, S: Into<String>>(
+        mut self,
+        commands: I,
+    ) -> Self {
+        self.commands
+            .allowed
+            .get_or_insert_with(Default::default)
+            .extend(commands.into_iter().map(Into::into));
+        self
+    }
+
+    /// Forbids JS to invoke the given commands, e.g. `["set_content_protected"]`.
+    /// Calling them fails with a `CommandNotAllowed` error.
+    pub fn deny_commands<I: IntoIterator<Item = S>, S: Into<String>>(
+        mut self,
+        commands: I,
+    ) -> Self {
+        self.commands
+            .denied
+            .extend(commands.into_iter().map(Into::into));
+        self
+    }
+
+    /// Sets the policy the windows created from JS must follow.
+    /// Creating a window the policy rejects fails with a `PolicyViolation` error,
+    /// and emits the `tauri://error` event on the `Window` created with its constructor.
+    ///
+    /// # Examples
+    ///
+    /// ```
+    /// use tauri_plugin_window::{Builder, WindowPolicy};
+    ///
+    /// let builder = Builder::new().window_policy(
+    ///     WindowPolicy::new()
+    ///         // the pages of tauri.app and the settings page of the app
+    ///         .allow_urls(["https://tauri.app/*", "settings.html"])
+    ///         .forbid_options(["transparent", "alwaysOnTop", "contentProtected"])
+    ///         .max_size(1920.0, 1080.0)
+    ///         .max_windows(5),
+    /// );
+    /// ```
+    pub fn window_policy(mut self, policy: WindowPolicy) -> Self {
+        self.window_policy = policy;
+        self
+    }
+
+    /// Restricts the windows whose label matches the pattern, where `*` matches any sequence of characters
+    /// and `?` any single character, to the commands and target windows allowed by the scope.
+    /// Each window gets the first scope whose pattern matches its label, windows without a scope are not restricted.
+    ///
+    /// Invoking a command the scope does not allow fails with a `CommandNotAllowed` error,
+    /// targeting a window the scope does not allow fails with a `TargetNotAllowed` error.
+    ///
+    /// # Examples
+    ///
+    /// ```
+    /// use tauri_plugin_window::{Builder, WindowScope};
+    ///
+    /// // windows showing remote content can only move and resize themselves and each other
+    /// let builder = Builder::new().scope(
+    ///     "remote-*",
+    ///     WindowScope::new()
+    ///         .allow_commands(["set_position", "set_size"])
+    ///         .allow_targets(["remote-*"]),
+    /// );
+    /// ```
+    pub fn scope(mut self, window: impl Into<String>, scope: WindowScope) -> Self {
+        self.scopes.push((window.into(), scope));
+        self
+    }
+
+    pub fn build<R: Runtime>(self) -> TauriPlugin<R> {
+        let mut init_script = format!(
+            "window.__TAURI_WINDOW_DRAG__ = {};",
+            serde_json::to_string(&self.drag).unwrap()
+        );
+        // window.print works on Linux/Windows; need to use the API on macOS
+        #[cfg(any(target_os = "macos", target_os = "ios"))]
+        if self.print_override {
+            init_script.push_str(include_str!("./scripts/print.js"));
+        }
+        if self.drag_regions {
+            init_script.push_str(include_str!("./scripts/drag.js"));
+        }
+        if self.resize_regions {
+            init_script.push_str(include_str!("./scripts/resize.js"));
+        }
+        init_script.push_str(include_str!("./scripts/input-blocker.js"));
+        init_script.push_str(include_str!("./scripts/cursor-tracker.js"));
+        #[cfg(any(debug_assertions, feature = "devtools"))]
+        if let Some(hotkey) = &self.devtools_hotkey {
+            init_script.push_str(&format!(
+                "window.__TAURI_WINDOW_DEVTOOLS_HOTKEY__ = {};",
+                serde_json::to_string(hotkey).unwrap()
+            ));
+            init_script.push_str(include_str!("./scripts/toggle-devtools.js"));
+        }
+
+        init_script.push_str(include_str!("api-iife.js"));
+
+        let builder = tauri::plugin::Builder::new("window").js_init_script(init_script);
+
+        #[cfg(desktop)]
+        let (window_template, label_rule, window_policy, scopes) = (
+            self.window_template,
+            self.label_rule,
+            self.window_policy,
+            self.scopes,
+        );
+        #[cfg(desktop)]
+        let builder = builder
+            .setup(move |app, _api| {
+                app.manage(desktop_commands::WindowCreation::new(
+                    window_template,
+                    label_rule,
+                    window_policy,
+                )?);
+                app.manage(scope::Scopes(scopes));
+                app.manage(desktop_events::WindowFlagsState::default());
+                app.manage(desktop_commands::WindowRelations::default());
+                app.manage(desktop_commands::ModalWindows::default());
+                app.manage(desktop_commands::CloseRequests::default());
+                app.manage(desktop_commands::CursorTrackers::default());
+                app.manage(desktop_commands::WildcardListeners::default());
+                app.manage(desktop_commands::ChannelMessages::default());
+                app.manage(desktop_commands::WindowConfigs::default());
+                app.manage(desktop_monitors::MonitorWatcher::default());
+                Ok(())
+            })
+            .on_webview_ready(desktop_events::on_webview_ready)
+            .on_page_load(desktop_events::on_page_load)
+            .on_event(desktop_events::on_event);
+
+        #[cfg(desktop)]
+        let commands = self.commands;
+        builder
+            .invoke_handler(move |invoke| {
+                #[cfg(desktop)]
+                {
+                    let command = invoke.message.command();
+                    let caller = invoke.message.window();
+                    // see `onCloseRequested` and `Window.listen`
+                    if !INTERNAL_COMMANDS.contains(&command)
+                        && (!commands.allows(command)
+                            || !caller
+                                .state::<scope::Scopes>()
+                                .allows_command(caller.label(), command))
+                    {
+                        invoke
+                            .resolver
+                            .reject(desktop_commands::Error::CommandNotAllowed(command.into()));
+                        return true;
+                    }
+                    let handler: Box<dyn Fn(tauri::ipc::Invoke<R>) -> bool> =
+                        Box::new(tauri::generate_handler![
+                            desktop_commands::create,
+                            desktop_commands::list_windows,
+                            desktop_commands::emit_to,
+                            desktop_commands::post_channel_message,
+                            desktop_commands::receive_channel_message,
+                            desktop_commands::set_modal_result,
+                            desktop_commands::modal_result,
+                            desktop_commands::parent,
+                            desktop_commands::children,
+                            // getters
+                            desktop_commands::scale_factor,
+                            desktop_commands::inner_position,
+                            desktop_commands::outer_position,
+                            desktop_commands::inner_size,
+                            desktop_commands::outer_size,
+                            desktop_commands::is_fullscreen,
+                            desktop_commands::is_minimized,
+                            desktop_commands::is_maximized,
+                            desktop_commands::is_focused,
+                            desktop_commands::is_decorated,
+                            desktop_commands::is_resizable,
+                            desktop_commands::is_maximizable,
+                            desktop_commands::is_minimizable,
+                            desktop_commands::is_closable,
+                            desktop_commands::is_visible,
+                            desktop_commands::title,
+                            desktop_commands::current_monitor,
+                            desktop_commands::primary_monitor,
+                            desktop_commands::available_monitors,
+                            desktop_commands::watch_monitors,
+                            desktop_commands::unwatch_monitors,
+                            desktop_commands::theme,
+                            desktop_commands::cursor_position,
+                            desktop_commands::state,
+                            // setters
+                            desktop_commands::center,
+                            desktop_commands::request_user_attention,
+                            desktop_commands::set_resizable,
+                            desktop_commands::set_maximizable,
+                            desktop_commands::set_minimizable,
+                            desktop_commands::set_closable,
+                            desktop_commands::set_title,
+                            desktop_commands::maximize,
+                            desktop_commands::unmaximize,
+                            desktop_commands::minimize,
+                            desktop_commands::unminimize,
+                            desktop_commands::show,
+                            desktop_commands::hide,
+                            desktop_commands::close,
+                            desktop_commands::internal_listen_close_requested,
+                            desktop_commands::internal_close_request,
+                            desktop_commands::internal_close_response,
+                            desktop_commands::internal_listen_wildcard,
+                            desktop_commands::set_decorations,
+                            desktop_commands::set_shadow,
+                            desktop_commands::set_effects,
+                            desktop_commands::set_always_on_top,
+                            desktop_commands::set_content_protected,
+                            desktop_commands::set_size,
+                            desktop_commands::set_min_size,
+                            desktop_commands::set_max_size,
+                            desktop_commands::set_position,
+                            desktop_commands::set_fullscreen,
+                            desktop_commands::set_focus,
+                            desktop_commands::set_skip_taskbar,
+                            desktop_commands::set_cursor_grab,
+                            desktop_commands::set_cursor_visible,
+                            desktop_commands::set_cursor_icon,
+                            desktop_commands::set_cursor_position,
+                            desktop_commands::set_ignore_cursor_events,
+                            desktop_commands::track_cursor,
+                            desktop_commands::untrack_cursor,
+                            desktop_commands::internal_cursor_event,
+                            desktop_commands::start_dragging,
+                            desktop_commands::start_resize_dragging,
+                            desktop_commands::print,
+                            desktop_commands::set_icon,
+                            desktop_commands::toggle_maximize,
+                            desktop_commands::save_window_state,
+                            desktop_commands::restore_window_state,
+                            desktop_commands::capture_layout,
+                            desktop_commands::save_layout,
+                            desktop_commands::layout,
+                            desktop_commands::layout_names,
+                            desktop_commands::delete_layout,
+                            desktop_commands::internal_toggle_maximize,
+                            desktop_commands::open_devtools,
+                            desktop_commands::close_devtools,
+                            desktop_commands::is_devtools_open,
+                            #[cfg(any(debug_assertions, feature = "devtools"))]
+                            desktop_commands::internal_toggle_devtools,
+                        ]);
+                    #[allow(clippy::needless_return)]
+                    return handler(invoke);
+                }
+                #[cfg(mobile)]
+                {
+                    invoke.resolver.reject(serde_json::json!({
+                        "code": "Unsupported",
+                        "message": "Window API not available on mobile",
+                        "label": null,
+                    }));
+                    return true;
+                }
+            })
+            .build()
+    }
+}
 
+/// Initializes the plugin with the default options.
 pub fn init<R: Runtime>() -> TauriPlugin<R> {
-    let mut init_script = String::new();
-    // window.print works on Linux/Windows; need to use the API on macOS
-    #[cfg(any(target_os = "macos", target_os = "ios"))]
-    {
-        init_script.push_str(include_str!("./scripts/print.js"));
-    }
-    init_script.push_str(include_str!("./scripts/drag.js"));
-    #[cfg(any(debug_assertions, feature = "devtools"))]
-    init_script.push_str(include_str!("./scripts/toggle-devtools.js"));
-
-    init_script.push_str(include_str!("api-iife.js"));
-
-    Builder::new("window")
-        .js_init_script(init_script)
-        .invoke_handler(|invoke| {
-            #[cfg(desktop)]
-            {
-                let handler: Box<dyn Fn(tauri::ipc::Invoke<R>) -> bool> =
-                    Box::new(tauri::generate_handler![
-                        desktop_commands::create,
-                        // getters
-                        desktop_commands::scale_factor,
-                        desktop_commands::inner_position,
-                        desktop_commands::outer_position,
-                        desktop_commands::inner_size,
-                        desktop_commands::outer_size,
-                        desktop_commands::is_fullscreen,
-                        desktop_commands::is_minimized,
-                        desktop_commands::is_maximized,
-                        desktop_commands::is_focused,
-                        desktop_commands::is_decorated,
-                        desktop_commands::is_resizable,
-                        desktop_commands::is_maximizable,
-                        desktop_commands::is_minimizable,
-                        desktop_commands::is_closable,
-                        desktop_commands::is_visible,
-                        desktop_commands::title,
-                        desktop_commands::current_monitor,
-                        desktop_commands::primary_monitor,
-                        desktop_commands::available_monitors,
-                        desktop_commands::theme,
-                        // setters
-                        desktop_commands::center,
-                        desktop_commands::request_user_attention,
-                        desktop_commands::set_resizable,
-                        desktop_commands::set_maximizable,
-                        desktop_commands::set_minimizable,
-                        desktop_commands::set_closable,
-                        desktop_commands::set_title,
-                        desktop_commands::maximize,
-                        desktop_commands::unmaximize,
-                        desktop_commands::minimize,
-                        desktop_commands::unminimize,
-                        desktop_commands::show,
-                        desktop_commands::hide,
-                        desktop_commands::close,
-                        desktop_commands::set_decorations,
-                        desktop_commands::set_shadow,
-                        desktop_commands::set_effects,
-                        desktop_commands::set_always_on_top,
-                        desktop_commands::set_content_protected,
-                        desktop_commands::set_size,
-                        desktop_commands::set_min_size,
-                        desktop_commands::set_max_size,
-                        desktop_commands::set_position,
-                        desktop_commands::set_fullscreen,
-                        desktop_commands::set_focus,
-                        desktop_commands::set_skip_taskbar,
-                        desktop_commands::set_cursor_grab,
-                        desktop_commands::set_cursor_visible,
-                        desktop_commands::set_cursor_icon,
-                        desktop_commands::set_cursor_position,
-                        desktop_commands::set_ignore_cursor_events,
-                        desktop_commands::start_dragging,
-                        desktop_commands::print,
-                        desktop_commands::set_icon,
-                        desktop_commands::toggle_maximize,
-                        desktop_commands::internal_toggle_maximize,
-                        #[cfg(any(debug_assertions, feature = "devtools"))]
-                        desktop_commands::internal_toggle_devtools,
-                    ]);
-                #[allow(clippy::needless_return)]
-                return handler(invoke);
-            }
-            #[cfg(mobile)]
-            {
-                invoke.resolver.reject("Window API not available on mobile");
-                return true;
-            }
-        })
-        .build()
+    Builder::new().build()
 }
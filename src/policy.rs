@@ -0,0 +1,166 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+use std::collections::HashSet;
+
+use serde_json::{Map, Value};
+use tauri::utils::config::{WindowConfig, WindowUrl};
+
+use crate::scope::glob_match;
+
+/// A custom rule of a [`WindowPolicy`], returning the reason the window is rejected.
+pub type PolicyCheck = Box<dyn Fn(&WindowConfig) -> Result<(), String> + Send + Sync>;
+
+/// Restricts the windows created from JS, see [`crate::Builder::window_policy`].
+#[derive(Default)]
+pub struct WindowPolicy {
+    urls: Option<Vec<String>>,
+    max_size: Option<(f64, f64)>,
+    forbidden_options: HashSet<String>,
+    max_windows: Option<usize>,
+    max_open_windows: Option<usize>,
+    checks: Vec<PolicyCheck>,
+}
+
+impl WindowPolicy {
+    /// Creates a policy that allows everything until restricted.
+    pub fn new() -> Self {
+        Self::default()
+    }
+
+    /// Only allows the URLs matching one of the given patterns, e.g. `["https://tauri.app/*", "settings.html"]`.
+    ///
+    /// External URLs only match the patterns with a scheme, e.g. `https://tauri.app/docs/*`:
+    /// the scheme and the host (with the port, if any) must be equal and the rest of the URL,
+    /// starting with the path, must match the rest of the pattern, where `*` matches any sequence of characters
+    /// and `?` any single character. App URLs only match the patterns without a scheme, by their path.
+    pub fn allow_urls<I: IntoIterator<Item = S>, S: Into<String>>(mut self, patterns: I) -> Self {
+        self.urls
+            .get_or_insert_with(Default::default)
+            .extend(patterns.into_iter().map(Into::into));
+        self
+    }
+
+    /// Caps the size and the maximum size of the windows, in logical pixels.
+    /// Larger windows are shrunk instead of rejected.
+    pub fn max_size(mut self, width: f64, height: f64) -> Self {
+        self.max_size.replace((width, height));
+        self
+    }
+
+    /// Forbids JS to set the given options to anything else than their default value,
+    /// using the option names of the JS API, e.g. `["transparent", "alwaysOnTop", "contentProtected"]`.
+    pub fn forbid_options<I: IntoIterator<Item = S>, S: Into<String>>(
+        mut self,
+        options: I,
+    ) -> Self {
+        self.forbidden_options
+            .extend(options.into_iter().map(Into::into));
+        self
+    }
+
+    /// Limits the number of windows created from JS that can be open at the same time.
+    pub fn max_windows(mut self, max: usize) -> Self {
+        self.max_windows.replace(max);
+        self
+    }
+
+    /// Prevents JS from creating a window when the given number of windows are open,
+    /// counting every window of the app, including the ones created from Rust or the config.
+    pub fn max_open_windows(mut self, max: usize) -> Self {
+        self.max_open_windows.replace(max);
+        self
+    }
+
+    /// Adds a custom rule, returning the reason the window is rejected.
+    pub fn check<F: Fn(&WindowConfig) -> Result<(), String> + Send + Sync + 'static>(
+        mut self,
+        check: F,
+    ) -> Self {
+        self.checks.push(Box::new(check));
+        self
+    }
+
+    /// Checks the window options against the policy, capping the window size.
+    ///
+    /// `options` are the options set from JS, `defaults` the value of each option when JS does not set it,
+    /// `js_windows` the number of open windows created from JS and `windows` the number of open windows.
+    #[cfg_attr(mobile, allow(dead_code))]
+    pub(crate) fn apply(
+        &self,
+        options: &Map<String, Value>,
+        defaults: &Map<String, Value>,
+        config: &mut WindowConfig,
+        js_windows: usize,
+        windows: usize,
+    ) -> Result<(), String> {
+        if let Some(max) = self.max_windows {
+            if js_windows >= max {
+                return Err(format!("at most {max} windows created from JS can be open"));
+            }
+        }
+        if let Some(max) = self.max_open_windows {
+            if windows >= max {
+                return Err(format!("at most {max} windows can be open"));
+            }
+        }
+
+        if let Some(patterns) = &self.urls {
+            if !patterns
+                .iter()
+                .any(|pattern| url_match(pattern, &config.url))
+            {
+                return Err(format!("url `{}` is not allowed", config.url));
+            }
+        }
+
+        for (option, value) in options {
+            if self.forbidden_options.contains(option) && defaults.get(option) != Some(value) {
+                return Err(format!("option `{option}` is not allowed"));
+            }
+        }
+
+        if let Some((max_width, max_height)) = self.max_size {
+            config.width = config.width.min(max_width);
+            config.height = config.height.min(max_height);
+            config.max_width = Some(config.max_width.map_or(max_width, |w| w.min(max_width)));
+            config.max_height = Some(config.max_height.map_or(max_height, |h| h.min(max_height)));
+        }
+
+        for check in &self.checks {
+            check(config)?;
+        }
+        Ok(())
+    }
+}
+
+/// Matches a URL against an [`WindowPolicy::allow_urls`] pattern.
+///
+/// The scheme and host of external URLs are compared exactly, so `https://tauri.app*`
+/// can't be satisfied by e.g. `https://tauri.app.evil.com` or `https://tauri.app@evil.com`.
+#[cfg_attr(mobile, allow(dead_code))]
+fn url_match(pattern: &str, url: &WindowUrl) -> bool {
+    match (pattern.split_once("://"), url) {
+        (None, WindowUrl::App(path)) => glob_match(pattern, &path.to_string_lossy()),
+        (Some((scheme, rest)), WindowUrl::External(url)) => {
+            let (host, path) = match rest.find('/') {
+                Some(i) => rest.split_at(i),
+                None => (rest, "/"),
+            };
+            let url_host = match (url.host_str(), url.port()) {
+                (Some(host), Some(port)) => format!("{host}:{port}"),
+                (Some(host), None) => host.to_string(),
+                (None, _) => String::new(),
+            };
+            let url_path = match url.query() {
+                Some(query) => format!("{}?{query}", url.path()),
+                None => url.path().to_string(),
+            };
+            scheme.eq_ignore_ascii_case(url.scheme())
+                && host.eq_ignore_ascii_case(&url_host)
+                && glob_match(path, &url_path)
+        }
+        _ => false,
+    }
+}
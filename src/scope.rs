@@ -0,0 +1,105 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+use std::collections::HashSet;
+
+/// What the windows matching a label pattern are allowed to do, see [`crate::Builder::scope`].
+#[derive(Debug, Clone, Default)]
+pub struct WindowScope {
+    commands: Option<HashSet<String>>,
+    targets: Option<Vec<String>>,
+}
+
+impl WindowScope {
+    /// Creates a scope that allows everything until restricted.
+    pub fn new() -> Self {
+        Self::default()
+    }
+
+    /// Only allows the window to invoke the given commands, e.g. `["set_title", "close"]`.
+    pub fn allow_commands<I: IntoIterator<Item = S>, S: Into<String>>(
+        mut self,
+        commands: I,
+    ) -> Self {
+        self.commands
+            .get_or_insert_with(Default::default)
+            .extend(commands.into_iter().map(Into::into));
+        self
+    }
+
+    /// Only allows the window to target the windows whose label matches one of the given patterns,
+    /// where `*` matches any sequence of characters and `?` any single character, e.g. `["popup-*"]`.
+    ///
+    /// A window can always target itself.
+    pub fn allow_targets<I: IntoIterator<Item = S>, S: Into<String>>(mut self, labels: I) -> Self {
+        self.targets
+            .get_or_insert_with(Default::default)
+            .extend(labels.into_iter().map(Into::into));
+        self
+    }
+}
+
+/// The scopes of the calling windows, in the order they were declared.
+#[derive(Default)]
+#[cfg_attr(mobile, allow(dead_code))]
+pub(crate) struct Scopes(pub(crate) Vec<(String, WindowScope)>);
+
+#[cfg_attr(mobile, allow(dead_code))]
+impl Scopes {
+    /// The first scope whose pattern matches the window, windows without a scope are not restricted.
+    fn scope(&self, caller: &str) -> Option<&WindowScope> {
+        self.0
+            .iter()
+            .find(|(pattern, _)| glob_match(pattern, caller))
+            .map(|(_, scope)| scope)
+    }
+
+    pub fn allows_command(&self, caller: &str, command: &str) -> bool {
+        self.scope(caller)
+            .and_then(|scope| scope.commands.as_ref())
+            .map_or(true, |commands| commands.contains(command))
+    }
+
+    pub fn allows_target(&self, caller: &str, target: &str) -> bool {
+        caller == target
+            || self
+                .scope(caller)
+                .and_then(|scope| scope.targets.as_ref())
+                .map_or(true, |targets| {
+                    targets.iter().any(|pattern| glob_match(pattern, target))
+                })
+    }
+}
+
+/// Matches the text against a pattern where `*` matches any sequence of characters and `?` any single character.
+pub(crate) fn glob_match(pattern: &str, text: &str) -> bool {
+    let pattern: Vec<char> = pattern.chars().collect();
+    let text: Vec<char> = text.chars().collect();
+    let (mut p, mut t) = (0, 0);
+    // the position of the last `*` and of the text it currently matches up to
+    let mut star: Option<(usize, usize)> = None;
+
+    while t < text.len() {
+        match pattern.get(p) {
+            Some('*') => {
+                star = Some((p, t));
+                p += 1;
+            }
+            Some(&c) if c == '?' || c == text[t] => {
+                p += 1;
+                t += 1;
+            }
+            _ => match star {
+                // let the last `*` match one more character
+                Some((star_p, star_t)) => {
+                    star = Some((star_p, star_t + 1));
+                    p = star_p + 1;
+                    t = star_t + 1;
+                }
+                None => return false,
+            },
+        }
+    }
+    pattern[p..].iter().all(|&c| c == '*')
+}
@@ -0,0 +1,62 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+// reports the cursor events of the window while `window.__TAURI_WINDOW_CURSOR_TRACKED__` is set i.e. while someone listens to them,
+// the backend sends them to the listening windows
+(function () {
+  function report(event, position) {
+    if (window.__TAURI_WINDOW_CURSOR_TRACKED__) {
+      window
+        .__TAURI_INVOKE__("plugin:window|internal_cursor_event", {
+          event,
+          position,
+        })
+        .catch(() => {});
+    }
+  }
+
+  // the position relative to the top-left corner of the window's client area, in physical pixels
+  function position(e) {
+    return {
+      x: Math.round(e.clientX * window.devicePixelRatio),
+      y: Math.round(e.clientY * window.devicePixelRatio),
+    };
+  }
+
+  // at most one move event per frame
+  let pending = null;
+  window.addEventListener(
+    "mousemove",
+    (e) => {
+      if (pending === null) {
+        requestAnimationFrame(() => {
+          report("moved", pending);
+          pending = null;
+        });
+      }
+      pending = position(e);
+    },
+    { capture: true, passive: true },
+  );
+
+  // `relatedTarget` is null when the cursor comes from or goes to outside of the webview
+  window.addEventListener(
+    "mouseover",
+    (e) => {
+      if (e.relatedTarget === null) {
+        report("entered", null);
+      }
+    },
+    { capture: true, passive: true },
+  );
+  window.addEventListener(
+    "mouseout",
+    (e) => {
+      if (e.relatedTarget === null) {
+        report("left", null);
+      }
+    },
+    { capture: true, passive: true },
+  );
+})();
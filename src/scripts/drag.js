@@ -2,16 +2,90 @@
 // SPDX-License-Identifier: Apache-2.0
 // SPDX-License-Identifier: MIT
 
-document.addEventListener("mousedown", (e) => {
-  if (e.target.hasAttribute("data-tauri-drag-region") && e.button === 0) {
+// drags the window from elements with a `data-tauri-drag-region` attribute and their children,
+// configured by `window.__TAURI_WINDOW_DRAG__`
+(function () {
+  function options() {
+    return Object.assign(
+      { threshold: 0, doubleClick: "maximize" },
+      window.__TAURI_WINDOW_DRAG__,
+    );
+  }
+
+  function invoke(cmd) {
+    return window.__TAURI_INVOKE__("plugin:window|" + cmd);
+  }
+
+  // the closest drag region, unless the element or an ancestor in between opts out with `data-tauri-drag-region="false"`
+  function dragRegion(target) {
+    const region =
+      target instanceof Element
+        ? target.closest("[data-tauri-drag-region]")
+        : null;
+    return region && region.getAttribute("data-tauri-drag-region") !== "false"
+      ? region
+      : null;
+  }
+
+  const doubleClickActions = ["maximize", "minimize", "none"];
+
+  // the double click action of the region, unknown values fall back to the default one
+  function doubleClickAction(region, fallback) {
+    const action = region.getAttribute("data-tauri-drag-region-double-click");
+    if (doubleClickActions.includes(action)) {
+      return action;
+    }
+    return doubleClickActions.includes(fallback) ? fallback : "maximize";
+  }
+
+  // the mouse down position while waiting for the mouse to move past the threshold
+  let pending = null;
+
+  document.addEventListener("mousedown", (e) => {
+    const region = e.button === 0 ? dragRegion(e.target) : null;
+    if (!region) {
+      return;
+    }
+    const { threshold, doubleClick } = options();
+
+    const action =
+      e.detail === 2 ? doubleClickAction(region, doubleClick) : "none";
+    if (action !== "none") {
+      e.preventDefault();
+      // fix #2549: double click on drag region edge causes content to maximize without window sizing change
+      // https://github.com/tauri-apps/tauri/issues/2549#issuecomment-1250036908
+      e.stopImmediatePropagation();
+      invoke(action === "minimize" ? "minimize" : "internal_toggle_maximize");
+      return;
+    }
+
+    if (threshold > 0) {
+      // the click goes through unless the mouse moves far enough
+      pending = { x: e.screenX, y: e.screenY, threshold };
+      return;
+    }
     // prevents text cursor
     e.preventDefault();
-    // fix #2549: double click on drag region edge causes content to maximize without window sizing change
-    // https://github.com/tauri-apps/tauri/issues/2549#issuecomment-1250036908
     e.stopImmediatePropagation();
+    invoke("start_dragging");
+  });
 
-    // start dragging if the element has a `tauri-drag-region` data attribute and maximize on double-clicking it
-    const cmd = e.detail === 2 ? "internal_toggle_maximize" : "start_dragging";
-    window.__TAURI_INVOKE__("plugin:window|" + cmd);
-  }
-});
+  document.addEventListener("mousemove", (e) => {
+    if (pending === null) {
+      return;
+    }
+    if ((e.buttons & 1) === 0) {
+      pending = null;
+    } else if (
+      Math.hypot(e.screenX - pending.x, e.screenY - pending.y) >=
+      pending.threshold
+    ) {
+      pending = null;
+      invoke("start_dragging");
+    }
+  });
+
+  document.addEventListener("mouseup", () => {
+    pending = null;
+  });
+})();
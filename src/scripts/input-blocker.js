@@ -0,0 +1,35 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+// blocks the user input while `window.__TAURI_WINDOW_INPUT_BLOCKED__` is set e.g. while a modal window is open
+(function () {
+  const events = [
+    "mousedown",
+    "mouseup",
+    "click",
+    "dblclick",
+    "contextmenu",
+    "wheel",
+    "pointerdown",
+    "pointerup",
+    "touchstart",
+    "touchend",
+    "keydown",
+    "keyup",
+    "keypress",
+  ];
+
+  for (const type of events) {
+    window.addEventListener(
+      type,
+      (e) => {
+        if (window.__TAURI_WINDOW_INPUT_BLOCKED__) {
+          e.preventDefault();
+          e.stopImmediatePropagation();
+        }
+      },
+      { capture: true, passive: false },
+    );
+  }
+})();
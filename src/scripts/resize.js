@@ -0,0 +1,178 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+// resizes the window from elements with a `data-tauri-resize-region="n|s|e|w|ne|nw|se|sw"` attribute
+// and, if `window.__TAURI_WINDOW_RESIZE_BORDER__` is set, from an invisible border of that many pixels
+(function () {
+  const directions = ["n", "s", "e", "w", "ne", "nw", "se", "sw"];
+
+  // overrides the cursor of the whole page while it is over a resize region,
+  // so the page's own cursors are back once the style is removed
+  const cursorStyle = document.createElement("style");
+
+  function setCursor(direction) {
+    // the native cursor of the edge, e.g. `nwResize`
+    invoke("set_cursor_icon", {
+      value: direction ? direction + "Resize" : "default",
+    }).catch(() => {});
+    // the webview sets the cursor of the element under the mouse on every move,
+    // so the page must show the same one or the native cursor would be replaced right away
+    if (direction) {
+      cursorStyle.textContent =
+        "* { cursor: " + direction + "-resize !important; }";
+      if (!cursorStyle.isConnected) {
+        (document.head || document.documentElement).appendChild(cursorStyle);
+      }
+    } else {
+      cursorStyle.remove();
+    }
+  }
+
+  function invoke(cmd, args) {
+    return window.__TAURI_INVOKE__("plugin:window|" + cmd, args);
+  }
+
+  // the resize direction under the cursor, or null
+  function directionAt(e) {
+    const region =
+      e.target instanceof Element
+        ? e.target.closest("[data-tauri-resize-region]")
+        : null;
+    if (region) {
+      const direction = region.getAttribute("data-tauri-resize-region");
+      if (directions.includes(direction)) {
+        return direction;
+      }
+    }
+
+    const border = window.__TAURI_WINDOW_RESIZE_BORDER__ || 0;
+    if (border > 0) {
+      const vertical =
+        e.clientY < border
+          ? "n"
+          : e.clientY >= window.innerHeight - border
+            ? "s"
+            : "";
+      const horizontal =
+        e.clientX < border
+          ? "w"
+          : e.clientX >= window.innerWidth - border
+            ? "e"
+            : "";
+      if (vertical || horizontal) {
+        return vertical + horizontal;
+      }
+    }
+    return null;
+  }
+
+  // follows the mouse on macOS, where the OS can't take over the resizing
+  function resizeManually(direction, start) {
+    const scale = window.devicePixelRatio;
+    let initial = null;
+    let last = null;
+    let scheduled = false;
+
+    function apply() {
+      scheduled = false;
+      if (initial === null || last === null) {
+        return;
+      }
+      let { x, y } = initial.outerPosition;
+      let { width, height } = initial.innerSize;
+      const dx = Math.round((last.screenX - start.screenX) * scale);
+      const dy = Math.round((last.screenY - start.screenY) * scale);
+      if (direction.includes("e")) {
+        width = Math.max(width + dx, 1);
+      }
+      if (direction.includes("s")) {
+        height = Math.max(height + dy, 1);
+      }
+      if (direction.includes("w")) {
+        const delta = Math.min(dx, width - 1);
+        x += delta;
+        width -= delta;
+      }
+      if (direction.includes("n")) {
+        const delta = Math.min(dy, height - 1);
+        y += delta;
+        height -= delta;
+      }
+      // the next mouse move retries, so failures can be ignored
+      if (direction.includes("w") || direction.includes("n")) {
+        invoke("set_position", {
+          value: { type: "Physical", data: { x, y } },
+        }).catch(() => {});
+      }
+      invoke("set_size", {
+        value: { type: "Physical", data: { width, height } },
+      }).catch(() => {});
+    }
+
+    function onMove(e) {
+      // the button might have been released before the resizing started
+      if ((e.buttons & 1) === 0) {
+        onUp();
+        return;
+      }
+      last = e;
+      if (!scheduled) {
+        scheduled = true;
+        requestAnimationFrame(apply);
+      }
+    }
+
+    function onUp() {
+      resizing = false;
+      window.removeEventListener("mousemove", onMove, true);
+      window.removeEventListener("mouseup", onUp, true);
+    }
+
+    resizing = true;
+    window.addEventListener("mousemove", onMove, true);
+    window.addEventListener("mouseup", onUp, true);
+    invoke("state", { fields: ["outerPosition", "innerSize"] }).then(
+      (state) => {
+        initial = state;
+      },
+      onUp,
+    );
+  }
+
+  let resizing = false;
+  let hovered = null;
+
+  window.addEventListener(
+    "mousemove",
+    (e) => {
+      if (resizing) {
+        return;
+      }
+      const direction = directionAt(e);
+      if (direction !== hovered) {
+        hovered = direction;
+        setCursor(direction);
+      }
+    },
+    { capture: true, passive: true },
+  );
+
+  window.addEventListener(
+    "mousedown",
+    (e) => {
+      const direction = e.button === 0 ? directionAt(e) : null;
+      if (direction) {
+        // resizing takes precedence over dragging and the page's own handlers
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        invoke("start_resize_dragging", { direction }).catch((error) => {
+          if (error && error.code === "Unsupported") {
+            resizeManually(direction, e);
+          }
+        });
+      }
+    },
+    { capture: true },
+  );
+})();
@@ -2,11 +2,54 @@
 // SPDX-License-Identifier: Apache-2.0
 // SPDX-License-Identifier: MIT
 
+// toggles the devtools with the `window.__TAURI_WINDOW_DEVTOOLS_HOTKEY__` hotkey, e.g. `Ctrl+Shift+I`
 (function () {
+  function parseHotkey(hotkey) {
+    const isMac = navigator.appVersion.includes("Mac");
+    const parts = hotkey.split("+").map((part) => part.trim().toLowerCase());
+    const modifiers = { ctrl: false, shift: false, alt: false, meta: false };
+    for (const part of parts.slice(0, -1)) {
+      switch (part) {
+        case "ctrl":
+        case "control":
+          modifiers.ctrl = true;
+          break;
+        case "shift":
+          modifiers.shift = true;
+          break;
+        case "alt":
+        case "option":
+          modifiers.alt = true;
+          break;
+        case "cmd":
+        case "command":
+        case "meta":
+        case "super":
+          modifiers.meta = true;
+          break;
+        case "cmdorctrl":
+        case "cmdorcontrol":
+        case "commandorcontrol":
+          modifiers[isMac ? "meta" : "ctrl"] = true;
+          break;
+      }
+    }
+    const key = parts[parts.length - 1];
+
+    return (event) =>
+      event.ctrlKey === modifiers.ctrl &&
+      event.shiftKey === modifiers.shift &&
+      event.altKey === modifiers.alt &&
+      event.metaKey === modifiers.meta &&
+      // the key might be altered by the modifiers e.g. Alt+I on macOS, but not the code
+      (event.key.toLowerCase() === key ||
+        event.code.toLowerCase() === key ||
+        event.code.toLowerCase() === "key" + key ||
+        event.code.toLowerCase() === "digit" + key);
+  }
+
   function toggleDevtoolsHotkey() {
-    const isHotkey = navigator.appVersion.includes("Mac")
-      ? (event) => event.metaKey && event.altKey && event.key === "I"
-      : (event) => event.ctrlKey && event.shiftKey && event.key === "I";
+    const isHotkey = parseHotkey(window.__TAURI_WINDOW_DEVTOOLS_HOTKEY__);
 
     document.addEventListener("keydown", (event) => {
       if (isHotkey(event)) {